@@ -1,9 +1,19 @@
 // src/functions/functions.js
 /* global CustomFunctions */
 
-import { geminiGenerate, geminiMinimalTest } from "../shared/gemini.js";
-import { getApiKey, getProvider } from "../shared/storage.js";
-import { ERR, DEFAULTS, LIMITS, TOKEN_LIMITS, PROVIDERS } from "../shared/constants.js";
+import { geminiGenerate, geminiStream, geminiMinimalTest, geminiCacheLookup, geminiCacheStore } from "../shared/gemini.js";
+import { getApiKey, getProvider, getProviderSettings } from "../shared/storage.js";
+import { diagInc, diagTrackRequest } from "../shared/diagnostics.js";
+import { ERR, DEFAULTS, LIMITS, TOKEN_LIMITS } from "../shared/constants.js";
+import { coalesce, runBatch } from "../shared/batch.js";
+import { batchItemsSchema, classificationSchema, fieldsSchema, formulaRewriteSchema, labelSchema, stringListSchema, tableSchema, tagListSchema } from "../shared/schema.js";
+import { buildClassifyPrompt, buildExtractPrompt, parseFields } from "../shared/prompts.js";
+import { parseBoolean, parseDateSerial, parseLocaleNumber } from "../shared/values.js";
+import { detectorForInstruction } from "../shared/detectors.js";
+import { isRegisteredProvider } from "../shared/providers/index.js";
+import { FORMULA_DIALECTS, describeFormula, detectFormulaDialect, normalizeFormula } from "../shared/formula.js";
+import { captureExcelLocale, getExcelLocale } from "../shared/locale.js";
+import { compileFormula, displayValue, sameValue } from "../shared/evaluate.js";
 
 // ---------- helpers ----------
 
@@ -38,9 +48,10 @@ function clamp(n, min, max, fallback) {
   return Math.min(max, Math.max(min, x));
 }
 
+// Empty => the provider selected in the taskpane. Unknown ids are rejected by geminiGenerate (#AI_BAD_OPTIONS).
 function normalizeProvider(p) {
-  const v = (p || "").toString().toLowerCase();
-  return v === PROVIDERS.OPENAI ? PROVIDERS.OPENAI : PROVIDERS.GEMINI;
+  const v = (p || "").toString().trim().toLowerCase();
+  return v || undefined;
 }
 
 function isValidHttpUrl(url) {
@@ -191,6 +202,18 @@ function isEmailLikeInstruction(instruction) {
   );
 }
 
+// EXTRACT cells answered without the model, logged like a request so that the path shows in the taskpane.
+function logLocalExtract(detectorId, cells) {
+  diagTrackRequest({
+    success: true,
+    code: "LOCAL",
+    functionName: `AI.EXTRACT [local: ${detectorId}]`,
+    model: "local",
+    provider: "local",
+    message: `${cells} cell(s) answered by the ${detectorId} detector`
+  });
+}
+
 function extractEmailsFromText(text, instructionHint = "email") {
   const cleaned = lightlyCleanExtractedValue(text, instructionHint);
   // RFC-like pragmatic regex (good enough for spreadsheet extraction).
@@ -253,6 +276,11 @@ function extractJsonObject(text) {
 
 // ---------- per-function prompting ----------
 
+// Batch answers are keyed by cell number, so a partial answer still maps onto its cells (see parseBatchItems).
+function batchItemsSpec(n) {
+  return `Return an object with a single key 'items': an array of ${n} objects {"i": <cell number>, "v": "<result>"}, one per provided cell, in the same order as the cells.`;
+}
+
 function sysAsk(lang = "fr") {
   return [
     "You are an assistant embedded in Microsoft Excel custom functions.",
@@ -266,15 +294,15 @@ function sysAsk(lang = "fr") {
 
 function sysTranslate(targetLang, expectedItems) {
   const n = Number.isFinite(Number(expectedItems)) ? Math.floor(Number(expectedItems)) : 0;
-  if (n > 1) {
+  if (n > 0) {
     return [
       "You are a translation engine.",
       `Translate each cell independently into ${targetLang}.`,
       "Return STRICT JSON only (no Markdown, no code fences).",
-      `Return an object with a single key 'items' containing exactly ${n} strings in the same order as the provided cells.`,
-      "Each item must contain ONLY the translated text for that cell.",
+      batchItemsSpec(n),
+      "Each 'v' must contain ONLY the translated text for that cell.",
       "Preserve numbers, units, and identifiers as-is unless they require translation.",
-      "For empty inputs, return an empty string at the same position.",
+      "For empty inputs, return an empty string as 'v'.",
       "Do not add any keys other than 'items'."
     ].join("\n");
   }
@@ -297,14 +325,14 @@ function sysClassify(labels, lang = "en") {
   ].join("\n");
 }
 function sysClean(lang = "fr", expectedItems) {
-  if (typeof expectedItems === "number" && expectedItems > 1) {
+  if (typeof expectedItems === "number" && expectedItems > 0) {
     return [
       "You are a text normalizer for spreadsheet cells.",
       `Respond in ${lang}.`,
       "Return STRICT JSON only (no Markdown, no code fences).",
-      `Return an object with a single key 'items' containing exactly ${expectedItems} strings in the same order as the provided cells.`,
+      batchItemsSpec(expectedItems),
       "Preserve the meaning of each cell independently.",
-      "For empty inputs, return an empty string at the same position.",
+      "For empty inputs, return an empty string as 'v'.",
       "Do not invent or merge content."
     ].join("\n");
   }
@@ -322,11 +350,11 @@ function sysConsistent(lang = "fr", expectedItems) {
     "You harmonize spreadsheet entries that refer to the same real-world value.",
     `Respond in ${lang}.`,
     "Return STRICT JSON only (no Markdown, no code fences).",
-    `Return an object with a single key 'items' containing exactly ${expectedItems} strings in the same order as the provided cells.`,
+    batchItemsSpec(expectedItems),
     "Normalize casing, accents, spacing, and fix obvious typos.",
     "When several cells refer to the same entity, use ONE consistent, best-written value for all of them.",
     "Keep outputs aligned with inputs; do not merge or reorder rows.",
-    "If an input is empty or whitespace-only, return an empty string for that position.",
+    "If an input is empty or whitespace-only, return an empty string as its 'v'.",
     "Do not invent new information beyond correcting the given values."
   ].join("\n");
 }
@@ -337,10 +365,10 @@ function sysSummarize(lang = "fr", expectedItems) {
       "You summarize text for spreadsheet cells.",
       `Respond in ${lang}.`,
       "Return STRICT JSON only (no Markdown, no code fences).",
-      `Return an object with a single key 'items' containing exactly ${expectedItems} strings in the same order as the provided cells.`,
+      batchItemsSpec(expectedItems),
       "Summarize each cell independently; do not merge content across cells.",
       "Use bullet points with '-' when it improves readability.",
-      "Keep outputs aligned with inputs. If an input is empty or whitespace-only, return an empty string for that position.",
+      "Keep outputs aligned with inputs. If an input is empty or whitespace-only, return an empty string as its 'v'.",
       "No Markdown headers. No code fences. No surrounding quotes."
     ].join("\n");
   }
@@ -355,10 +383,10 @@ function sysSummarize(lang = "fr", expectedItems) {
 }
 
 function sysExtract(instruction, lang = "fr", expectedItems) {
-  const strictArray =
-    typeof expectedItems === "number" && expectedItems > 0
-      ? `Return an object with a single key 'items' which is an array of exactly ${expectedItems} strings, preserving order.`
-      : "Return an object with a single key 'items' which is an array of strings.";
+  const perCell = typeof expectedItems === "number" && expectedItems > 0;
+  const strictArray = perCell
+    ? batchItemsSpec(expectedItems)
+    : "Return an object with a single key 'items' which is an array of strings.";
 
   return [
     "You are an expert extraction engine.",
@@ -367,9 +395,11 @@ function sysExtract(instruction, lang = "fr", expectedItems) {
     "Lightly normalize results (trim spaces, fix obvious email obfuscation like [at]/(at) -> @ and [dot]/(dot)/point -> .).",
     "Return STRICT JSON only (no Markdown, no code fences).",
     strictArray,
-    "Example: { \"items\": [\"match1\", \"match2\"] }",
-    typeof expectedItems === "number"
-      ? "If a value is missing for a cell, return an empty string in that position."
+    perCell
+      ? "Example: { \"items\": [{ \"i\": 1, \"v\": \"match1\" }, { \"i\": 2, \"v\": \"\" }] }"
+      : "Example: { \"items\": [\"match1\", \"match2\"] }",
+    perCell
+      ? "If a value is missing for a cell, return an empty string as its 'v'."
       : "If nothing found, return { \"items\": [] }.",
     "Extract exact values from the text without inventing data."
   ].join("\n");
@@ -392,23 +422,66 @@ function sysFill(lang = "fr", expectedItems) {
   ].join("\n");
 }
 
-function sysFormula(lang) {
-  const isFr = (lang || "").toLowerCase().startsWith("fr");
+// `dialect` is the workbook's formula locale (names and separators); `lang` only sets the language of the
+// text the formula itself contains.
+function sysFormula(dialect, lang) {
+  const isFr = dialect.names === "fr";
   return [
     "You are an expert Excel formula generator.",
     "Your goal is to output a VALID Excel formula string based on the user request.",
     "Leverage advanced Excel capabilities (dynamic arrays, LET/LAMBDA, structured references, advanced date/time, lookup, statistics, financial functions) when relevant.",
-    `Respond in ${lang}.`,
+    `Write any text inside the formula (labels, messages) in ${lang}.`,
     isFr
       ? "Use FRENCH Excel function names (e.g., SOMME, SI, RECHERCHEV...)."
       : "Use ENGLISH Excel function names (e.g., SUM, IF, VLOOKUP...).",
-    isFr ? "Use SEMICOLON (;) as argument separator." : "Use COMMA (,) as argument separator.",
+    `Use ${dialect.argSep === ";" ? "SEMICOLON (;)" : "COMMA (,)"} as argument separator and ${dialect.decimalSep === "," ? "COMMA (,)" : "DOT (.)"} as decimal separator.`,
     "Return exactly one ready-to-use Excel formula with no surrounding text.",
     "Return ONLY the formula starting with '='.",
     "No Markdown. No code fences. No explanations."
   ].join("\n");
 }
 
+function sysFormulaFromExamples(dialect, lang) {
+  const isFr = dialect.names === "fr";
+  return [
+    "You are an expert Excel formula generator.",
+    "You receive examples: input cell values and the output expected for each row.",
+    "Write ONE formula that computes the output from the input cells of its own row, for every example.",
+    "Write it for the first input row, with relative references, so that it can be filled down.",
+    "Prefer the common text, date and math functions; do not hard-code the example values.",
+    "Dates are given as Excel serial numbers.",
+    `Write any text inside the formula (labels, messages) in ${lang}.`,
+    isFr
+      ? "Use FRENCH Excel function names (e.g., GAUCHE, STXT, TEXTE, SI...)."
+      : "Use ENGLISH Excel function names (e.g., LEFT, MID, TEXT, IF...).",
+    `Use ${dialect.argSep === ";" ? "SEMICOLON (;)" : "COMMA (,)"} as argument separator and ${dialect.decimalSep === "," ? "COMMA (,)" : "DOT (.)"} as decimal separator.`,
+    "Return ONLY the formula starting with '='.",
+    "No Markdown. No code fences. No explanations."
+  ].join("\n");
+}
+
+// AI.EXPLAIN_FORMULA; with `rewrite`, the equivalent formula is written in `dialect`.
+function sysExplainFormula(lang, rewrite) {
+  const lines = [
+    "You explain Excel formulas to spreadsheet users who did not write them.",
+    `Write the explanation in ${lang}, as short numbered steps, from the innermost calculation to the final result.`,
+    "Name functions exactly as they are written in the formula, and cite the referenced ranges and names as written.",
+    "Say what the formula returns and in which cases it may return an error.",
+    "Plain text only: no Markdown, no code fences."
+  ];
+  if (rewrite) {
+    lines.push(
+      "Then propose an equivalent formula that is simpler or uses modern functions (XLOOKUP, LET, IFS, FILTER...), with the same result.",
+      rewrite.names === "fr"
+        ? `Use FRENCH function names (e.g., RECHERCHEX, SI.CONDITIONS) with '${rewrite.argSep}' as argument separator.`
+        : `Use ENGLISH function names (e.g., XLOOKUP, IFS) with '${rewrite.argSep}' as argument separator.`,
+      "If the formula is already as simple as it can be, return an empty string as the formula.",
+      'Return JSON: { "explanation": "...", "formula": "=..." }.'
+    );
+  }
+  return lines.join("\n");
+}
+
   function sysWeb(lang = "fr") {
     return [
       "You are a meticulous fact-finding assistant with access to reliable web knowledge.",
@@ -425,7 +498,17 @@ function sysFormula(lang) {
 
   // ---------- core call wrapper ----------
 
-async function callGemini({ system, user, options, functionName }) {
+// Functions are declared cancelable: Excel calls invocation.onCanceled when the formula is deleted
+// or recalculated with new inputs, which aborts the pending request.
+function signalFor(invocation) {
+  if (!invocation || typeof AbortController === "undefined") return undefined;
+  const controller = new AbortController();
+  invocation.onCanceled = () => controller.abort();
+  return controller.signal;
+}
+
+// Options JSON -> geminiGenerate / geminiStream request.
+function buildGenerateRequest({ system, user, options, functionName, signal }) {
   const opt = options || {};
   const provider = normalizeProvider(opt.provider);
   const temperature = typeof opt.temperature === "number"
@@ -459,7 +542,7 @@ async function callGemini({ system, user, options, functionName }) {
   const generationConfig = { temperature };
   if (typeof maxOutputTokens === "number") generationConfig.maxOutputTokens = maxOutputTokens;
 
-  const res = await geminiGenerate({
+  return {
     provider,
     model: opt.model,
     system,
@@ -473,10 +556,388 @@ async function callGemini({ system, user, options, functionName }) {
     retry,
     responseMimeType: opt.responseMimeType,
     responseJsonSchema: opt.responseJsonSchema,
-    functionName: functionName
-  });
+    // Per-formula fallback chain: ["openai", "custom"], "openai,custom", or false to disable it.
+    fallback: opt.fallback,
+    sample: Number.isInteger(opt.sample) && opt.sample > 0 ? opt.sample : undefined,
+    functionName: functionName,
+    signal
+  };
+}
 
-  return res;
+/**
+ * An answer cut by the output limit comes back as #AI_TRUNCATED (with its partial `text`), unless
+ * { "autoContinue": true } is set on a text answer: the model is then asked to go on and the parts are joined.
+ * Truncated JSON answers are completed by their callers (missing batch items, remaining rows).
+ */
+async function callGemini(args) {
+  return await settleTruncated(args, await geminiGenerate(buildGenerateRequest(args)));
+}
+
+async function settleTruncated(args, res) {
+  if (!res.ok || !res.truncated) return res;
+  const opt = args.options || {};
+  if (opt.autoContinue && opt.responseMimeType !== "application/json") return await continueText(args, res);
+  return truncatedResult(res);
+}
+
+function truncatedResult(res) {
+  return { ...res, ok: false, code: ERR.TRUNCATED, errorCode: ERR.TRUNCATED };
+}
+
+// Both parts are trimmed by geminiGenerate: put back the space a cut between two words loses.
+function joinContinuation(text, next) {
+  return /[\p{L}\p{N}.,;:!?)]$/u.test(text) && /^[\p{L}\p{N}(]/u.test(next) ? `${text} ${next}` : `${text}${next}`;
+}
+
+async function continueText(args, res) {
+  let text = res.text;
+  for (let i = 1; i <= LIMITS.MAX_CONTINUATIONS; i++) {
+    const next = await geminiGenerate(buildGenerateRequest({
+      ...args,
+      user: [
+        args.user,
+        "",
+        "YOUR ANSWER SO FAR (cut off by the output limit):",
+        text,
+        "",
+        "Continue exactly where the answer stops. Return only the continuation, without repeating any of it."
+      ].join("\n"),
+      functionName: `${args.functionName} [continue ${i}]`
+    }));
+    if (!next.ok) return next;
+    text = joinContinuation(text, next.text);
+    if (!next.truncated) return { ...next, text, continued: i };
+  }
+  return truncatedResult({ ...res, text });
+}
+
+// Why extractJsonObject gave up on `text`, for the repair prompt.
+function jsonParseError(text) {
+  const clean = String(text || "").replace(/```json/g, "").replace(/```/g, "").trim();
+  if (!clean) return "Empty answer";
+  const p = safeJsonParse(clean);
+  if (!p.ok) return p.error?.message || "Invalid JSON";
+  return "A JSON object was expected";
+}
+
+/**
+ * JSON answer of `args` (callGemini request) checked by parse(text) -> { ok: true, value } | { ok: false, error }.
+ * An answer that does not parse is sent back to the model with the parse error and the expected schema,
+ * up to `repairAttempts` times (option, 0-3). Repair calls are logged as "<function> [repair n]".
+ * Resolves { ok: true, value, res } or a failed result ({ ok: false, code }).
+ */
+async function callJson(args, parse) {
+  const res = await callGemini(args);
+  if (!res.ok) return res;
+
+  let parsed = parse(res.text);
+  const opt = args.options || {};
+  const attempts = typeof opt.repairAttempts === "number"
+    ? Math.floor(clamp(opt.repairAttempts, 0, 3, DEFAULTS.jsonRepairAttempts))
+    : DEFAULTS.jsonRepairAttempts;
+
+  let last = res;
+  for (let attempt = 1; !parsed.ok && attempt <= attempts; attempt++) {
+    diagInc("jsonRepairs", 1);
+    const schema = opt.responseJsonSchema ? JSON.stringify(opt.responseJsonSchema) : "the JSON format given in the instructions";
+    const repair = await callGemini({
+      ...args,
+      user: [
+        args.user,
+        "",
+        "YOUR PREVIOUS ANSWER (invalid):",
+        last.text,
+        "",
+        // The attempt number keeps each repair out of the previous one's cache entry.
+        `PARSE ERROR (repair ${attempt}): ${parsed.error}`,
+        `EXPECTED SCHEMA: ${schema}`,
+        "Return only the corrected JSON, with the same content."
+      ].join("\n"),
+      functionName: `${args.functionName} [repair ${attempt}]`
+    });
+    if (!repair.ok) return repair;
+    last = repair;
+    parsed = parse(repair.text);
+    if (parsed.ok) diagInc("jsonRepaired", 1);
+  }
+
+  if (!parsed.ok) return { ok: false, code: ERR.PARSE_ERROR, message: parsed.error };
+  return { ok: true, value: parsed.value, res: last };
+}
+
+// parse() for callJson: a JSON object, optionally checked by check(obj) -> error message | "".
+function jsonObjectParser(check) {
+  return (text) => {
+    const obj = extractJsonObject(text);
+    if (!obj) return { ok: false, error: jsonParseError(text) };
+    const error = check ? check(obj) : "";
+    return error ? { ok: false, error } : { ok: true, value: obj };
+  };
+}
+
+// Default batch value: a string (null reads as "", numbers and booleans as text).
+function readScalar(v) {
+  if (v === null) return "";
+  if (typeof v === "string" || typeof v === "number" || typeof v === "boolean") return safeString(v);
+  return undefined;
+}
+
+/**
+ * Parses a batch answer ({ "items": [{ "i": 1, "v": "..." }, ...] }) into n values, undefined where a
+ * cell is missing or invalid. Complete items of a truncated answer are kept, and a plain array of exactly
+ * n strings is read by position. readValue(v) -> value | undefined reads one 'v'.
+ */
+function parseBatchItems(text, n, readValue = readScalar) {
+  const out = new Array(n);
+  const put = (i, v) => {
+    if (!Number.isInteger(i) || i < 1 || i > n || out[i - 1] !== undefined) return;
+    out[i - 1] = readValue(v);
+  };
+
+  const obj = extractJsonObject(text);
+  if (obj && Array.isArray(obj.items)) {
+    obj.items.forEach((item, k) => {
+      if (item && typeof item === "object" && !Array.isArray(item)) put(Number(item.i), item.v);
+      else if (obj.items.length === n) put(k + 1, item);
+    });
+    return out;
+  }
+
+  // Truncated JSON: salvage the { "i": .., "v": ".." } objects that came back whole.
+  const re = /\{\s*"i"\s*:\s*(\d+)\s*,\s*"v"\s*:\s*("(?:[^"\\]|\\.)*")\s*\}/g;
+  let m;
+  while ((m = re.exec(String(text || "")))) {
+    const v = safeJsonParse(m[2]);
+    if (v.ok) put(Number(m[1]), v.value);
+  }
+  return out;
+}
+
+const JSON_STRING = String.raw`"(?:[^"\\]|\\.)*"`;
+
+// Strings of the `key` array that came back whole in a truncated JSON answer.
+function salvageStringArray(text, key) {
+  const s = String(text || "");
+  const start = s.search(new RegExp(`"${key}"\\s*:\\s*\\[`));
+  if (start < 0) return [];
+  const re = new RegExp(`\\s*(${JSON_STRING})\\s*([,\\]])`, "y");
+  re.lastIndex = s.indexOf("[", start) + 1;
+  const out = [];
+  let m;
+  while ((m = re.exec(s))) {
+    const v = safeJsonParse(m[1]);
+    if (!v.ok) break;
+    out.push(v.value);
+    if (m[2] === "]") break;
+  }
+  return out;
+}
+
+// Rows ([string, ...]) that came back whole in a truncated AI.TABLE answer.
+function salvageTableRows(text) {
+  const s = String(text || "");
+  const start = s.search(/"rows"\s*:\s*\[/);
+  if (start < 0) return [];
+  const re = new RegExp(`\\s*(\\[(?:\\s*(?:${JSON_STRING}|null|-?\\d[\\d.eE+-]*)\\s*,?)*\\s*\\])\\s*,?`, "y");
+  re.lastIndex = s.indexOf("[", start) + 1;
+  const out = [];
+  let m;
+  while ((m = re.exec(s))) {
+    const row = safeJsonParse(m[1]);
+    if (!row.ok) break;
+    out.push(row.value);
+  }
+  return out;
+}
+
+function chunkSizeOf(opt) {
+  return typeof opt.chunkSize === "number"
+    ? Math.floor(clamp(opt.chunkSize, 1, 200, LIMITS.BATCH_MAX_ITEMS))
+    : LIMITS.BATCH_MAX_ITEMS;
+}
+
+/**
+ * Range functions: sends `cells` as numbered lists, one call per chunk (see batch.js), and expects
+ * { "items": [{ "i", "v" }...] } with one value per cell. Returns one { ok, value } / { ok: false, code } per cell.
+ * system(n) and user(list, n, previous) build the prompts of a chunk of n cells; `previous` is only
+ * filled for sequential batches (values returned by the earlier chunks). `valueSchema` is the JSON schema
+ * of one value (string by default), and readValue (see parseBatchItems) reads it.
+ */
+async function callBatch(cells, { system, user, options, functionName, signal, emptyLabel = "<empty>", sequential = false, valueSchema, readValue }) {
+  const opt = options || {};
+  const maxItems = chunkSizeOf(opt);
+  const buildUser = user || ((list) => ["Cells:", list].join("\n"));
+
+  return await runBatch(cells, async (items, { previous }) => {
+    // A chunk of empty cells needs no call.
+    if (!items.some((cell) => safeString(cell).trim())) return { ok: true, items: items.map(() => "") };
+
+    // Cells missing from a partial answer are asked again (alone) before they get #AI_PARSE_ERROR.
+    // Cells lost to a truncated answer get #AI_TRUNCATED, or are asked again with { "autoContinue": true }.
+    const out = new Array(items.length);
+    let pending = items.map((_, i) => i);
+    let missingCode = ERR.PARSE_ERROR;
+    let retries = LIMITS.BATCH_MISSING_RETRIES;
+    let continuations = opt.autoContinue ? LIMITS.MAX_CONTINUATIONS : 0;
+    for (let round = 0; pending.length; round++) {
+      const subset = pending.map((i) => items[i]);
+      const list = subset
+        .map((cell, idx) => `${idx + 1}. ${cell ? cell : emptyLabel}`)
+        .join("\n");
+
+      const res = await callJson({
+        system: system(subset.length),
+        user: buildUser(list, subset.length, previous),
+        options: { ...opt, responseMimeType: "application/json", responseJsonSchema: batchItemsSchema(subset.length, valueSchema) },
+        functionName,
+        signal
+      }, (text) => {
+        const values = parseBatchItems(text, subset.length, readValue);
+        if (values.some((v) => v !== undefined)) return { ok: true, value: values };
+        return { ok: false, error: extractJsonObject(text) ? "Expected 'items' as {\"i\", \"v\"} objects" : jsonParseError(text) };
+      });
+      const truncated = res.code === ERR.TRUNCATED;
+      if (!res.ok && !truncated) {
+        if (round === 0 && res.code !== ERR.PARSE_ERROR) return res;
+        break;
+      }
+
+      const values = truncated ? parseBatchItems(res.text, subset.length, readValue) : res.value;
+      const before = pending.length;
+      pending = pending.filter((cellIdx, k) => {
+        if (values[k] === undefined) return true;
+        out[cellIdx] = values[k];
+        return false;
+      });
+
+      missingCode = truncated ? ERR.TRUNCATED : ERR.PARSE_ERROR;
+      if (truncated ? (continuations-- <= 0 || pending.length === before) : retries-- <= 0) break;
+    }
+    return { ok: true, items: out, missingCode };
+  }, { maxItems, sequential });
+}
+
+/**
+ * { "coalesce": true } on a single-cell call: calls of the same function with the same arguments
+ * (apart from the cell) fired within a short window are answered by one callBatch request.
+ * `single` is the callGemini request the cell would send alone; its answer is cached under that
+ * request, so recalculating one cell later is a cache hit rather than a new batch.
+ */
+async function callCoalesced(cell, { single, batch, shape, signal }) {
+  const req = buildGenerateRequest({ ...single, signal });
+  if (req.cacheOnly) return await settleTruncated(single, await geminiGenerate(req));
+
+  const cached = await geminiCacheLookup(req);
+  if (cached) return await settleTruncated({ ...single, signal }, cached);
+
+  const res = await coalesce(
+    `${single.functionName}|${shape}`,
+    cell,
+    (cells, batchSignal) => callBatch(cells, { ...batch, functionName: single.functionName, signal: batchSignal }),
+    { signal, maxItems: chunkSizeOf(batch.options || {}) }
+  );
+  if (!res.ok) return res;
+
+  // Object values (JSON answers) are cached as the JSON text the single call would have returned.
+  const text = typeof res.value === "string" ? res.value : JSON.stringify(res.value);
+  await geminiCacheStore(req, text);
+  return { ok: true, text };
+}
+
+// ---------- Votes ----------
+
+function voteCount(opt) {
+  return typeof opt.votes === "number" ? Math.floor(clamp(opt.votes, 1, LIMITS.MAX_VOTES, 1)) : 1;
+}
+
+// { "voteModels": ["gemini-2.5-flash", "openai:gpt-4o-mini"] } (or one comma-separated string):
+// a "provider:" prefix is only read as such when it names a registered provider ("llama3:8b" is a model).
+function parseVoteModels(v) {
+  const list = Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [];
+  return list
+    .map((x) => safeString(x).trim())
+    .filter(Boolean)
+    .map((x) => {
+      const i = x.indexOf(":");
+      if (i > 0 && isRegisteredProvider(x.slice(0, i))) return { provider: x.slice(0, i), model: x.slice(i + 1).trim() || undefined };
+      return { model: x };
+    });
+}
+
+// One invocation per sample, all canceled with the formula.
+function sampleInvocations(invocation, n) {
+  const subs = Array.from({ length: n }, () => ({ onCanceled: null }));
+  if (invocation) invocation.onCanceled = () => subs.forEach((sub) => sub.onCanceled && sub.onCanceled());
+  return subs;
+}
+
+// Failed samples; #AI_NOT_FOUND is an answer like any other.
+function isErrorValue(v) {
+  return typeof v === "string" && v.startsWith("#AI_") && v !== ERR.NOT_FOUND;
+}
+
+// Answers that differ only by case or spacing are the same vote.
+function voteKey(v) {
+  return typeof v === "string" ? v.trim().replace(/\s+/g, " ").toLowerCase() : JSON.stringify(v);
+}
+
+/**
+ * Most frequent valid value of `values` (ties go to the earliest sample) and its share of all samples;
+ * errors count against the agreement. All samples failed => the most frequent error, agreement "".
+ */
+function majority(values) {
+  const counts = new Map();
+  for (const v of values) {
+    const key = voteKey(v);
+    const c = counts.get(key) || { value: v, n: 0, error: isErrorValue(v) };
+    c.n++;
+    counts.set(key, c);
+  }
+  const ranked = Array.from(counts.values()).sort((a, b) => b.n - a.n);
+  const best = ranked.find((c) => !c.error);
+  if (!best) return [ranked[0]?.value ?? errorCode(ERR.API_ERROR), ""];
+  return [best.value, Math.round((best.n / values.length) * 100) / 100];
+}
+
+/**
+ * { "votes": n } (2-9): runs the function n times and keeps the majority answer. Every sample is its own
+ * request, so it is cached on its own: samples are spread over { "voteModels": [...] } when given, and
+ * repeated models are told apart by `sample` in the cache key. Without an explicit temperature, samples
+ * use DEFAULTS.voteTemperature.
+ * run(sampleOptions, sampleInvocation) resolves the function's result for one sample. Each cell of the
+ * majority result spills [value, agreement], agreement being the share of samples that gave that value
+ * (below 1: the samples disagreed). With `whole`, the result is voted as one answer (a spilled list) and
+ * the agreement goes next to its first row.
+ */
+async function runVotes(opt, invocation, run, { whole = false } = {}) {
+  const n = voteCount(opt);
+  const models = parseVoteModels(opt.voteModels);
+  const subs = sampleInvocations(invocation, n);
+
+  const samples = await Promise.all(subs.map((sub, k) => {
+    const m = models.length ? models[k % models.length] : {};
+    return run({
+      ...opt,
+      ...m,
+      votes: 1,
+      sample: k,
+      temperature: typeof opt.temperature === "number" ? opt.temperature : DEFAULTS.voteTemperature
+    }, sub);
+  }));
+  const matrices = samples.map((r) => (Array.isArray(r) ? r.map((row) => (Array.isArray(row) ? row : [row])) : [[r]]));
+
+  if (whole) {
+    const answers = matrices.map((m) => (m.length === 1 && m[0].length === 1 ? m[0][0] : JSON.stringify(m)));
+    const [value, agreement] = majority(answers);
+    const winner = matrices[answers.findIndex((a) => voteKey(a) === voteKey(value))] || [[value]];
+    return winner.map((row, i) => [...row, i === 0 ? agreement : ""]);
+  }
+
+  // Cell by cell, on the shape of the first sample that did not fail as a whole.
+  const shape = matrices.find((m) => !(m.length === 1 && m[0].length === 1 && isErrorValue(m[0][0]))) || matrices[0];
+  return shape.map((row, i) =>
+    row.flatMap((_, j) => majority(matrices.map((m) => m[i]?.[j] ?? (isErrorValue(m[0]?.[0]) ? m[0][0] : errorCode(ERR.API_ERROR)))))
+  );
 }
 
 // ---------- Custom Functions ----------
@@ -485,19 +946,23 @@ export async function KEY_STATUS() {
   try {
     const provider = await getProvider();
     const key = await getApiKey(provider);
-    return key ? "OK" : "MISSING";
+    if (key) return "OK";
+    const settings = await getProviderSettings(provider);
+    return settings.noApiKey ? "NOT_REQUIRED" : "MISSING";
   } catch {
     return "MISSING";
   }
 }
 
-export async function TEST(options) {
+export async function TEST(options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
     const res = await geminiMinimalTest({
       timeoutMs: opt?.timeoutMs ?? DEFAULTS?.timeoutMs ?? 15000,
       provider: opt?.provider,
-      model: opt?.model
+      model: opt?.model,
+      signal
     });
     if (!res.ok) return errorCode(res.code);
     return "OK";
@@ -506,21 +971,25 @@ export async function TEST(options) {
   }
 }
 
-export async function ASK(prompt, contextRange, options) {
+// ASK and ASK_STREAM send the same prompt, so they share cache entries.
+function buildAskPrompt(prompt, contextRange, opt) {
+  const ctx = contextRange ? matrixToTSV(contextRange, opt.maxContextChars) : "";
+  const user = [ctx ? `CONTEXT (TSV):\n${ctx}` : "", `USER PROMPT:\n${coerceToTextOrJoin2D(prompt)}`]
+    .filter(Boolean)
+    .join("\n\n");
+  return { system: sysAsk(opt.lang || "fr"), user };
+}
+
+export async function ASK(prompt, contextRange, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
-    const lang = opt.lang || "fr";
-
-    const ctx = contextRange ? matrixToTSV(contextRange, opt.maxContextChars) : "";
-    const user = [ctx ? `CONTEXT (TSV):\n${ctx}` : "", `USER PROMPT:\n${coerceToTextOrJoin2D(prompt)}`]
-      .filter(Boolean)
-      .join("\n\n");
 
     const res = await callGemini({
-      system: sysAsk(lang),
-      user,
+      ...buildAskPrompt(prompt, contextRange, opt),
       options: opt,
-      functionName: "AI.ASK"
+      functionName: "AI.ASK",
+      signal
     });
 
     if (!res.ok) return errorCode(res.code);
@@ -530,8 +999,90 @@ export async function ASK(prompt, contextRange, options) {
   }
 }
 
-export async function WEB(prompt, focusRange, showSource) {
+// Minimum delay between two partial results pushed to the cell (each one triggers an Excel repaint).
+const STREAM_UPDATE_MS = 250;
+
+/**
+ * Streaming AI.ASK: partial text is pushed into the cell as tokens arrive,
+ * the final text (or error code) when the answer is complete.
+ */
+export function ASK_STREAM(prompt, contextRange, options, invocation) {
+  let done = false;
+  let lastPush = 0;
+  const setResult = (v) => {
+    if (!done) invocation.setResult(v);
+  };
+  const signal = signalFor(invocation);
+  const abort = invocation.onCanceled;
+  invocation.onCanceled = () => {
+    done = true;
+    if (abort) abort();
+  };
+
+  const onPartial = (text) => {
+    const now = Date.now();
+    if (now - lastPush < STREAM_UPDATE_MS) return;
+    lastPush = now;
+    setResult(truncateForCell(text));
+  };
+
+  (async () => {
+    try {
+      const opt = parseOptions(options);
+      const args = {
+        ...buildAskPrompt(prompt, contextRange, opt),
+        options: opt,
+        functionName: "AI.ASK_STREAM",
+        signal
+      };
+      let res = await geminiStream(buildGenerateRequest(args), onPartial);
+      // Continuations are not streamed: the cell keeps the partial text until they are joined.
+      res = await settleTruncated(args, res);
+      setResult(res.ok ? truncateForCell(res.text) : errorCode(res.code));
+    } catch {
+      setResult(errorCode(ERR.API_ERROR));
+    } finally {
+      done = true;
+    }
+  })();
+}
+
+// Cited web sources of a grounded answer, in order of first citation: [{ title, uri, snippet }], the snippet
+// being the parts of the answer each source supports. Sources no support points to come last, without snippet.
+function webCitations(meta) {
+  const chunks = Array.isArray(meta?.groundingChunks) ? meta.groundingChunks : [];
+  const supports = Array.isArray(meta?.groundingSupports) ? meta.groundingSupports : [];
+  const snippets = new Map();
+  for (const support of supports) {
+    const text = safeString(support?.segment?.text).trim();
+    for (const i of support?.groundingChunkIndices || []) {
+      if (!chunks[i]?.web?.uri) continue;
+      if (!snippets.has(i)) snippets.set(i, []);
+      if (text && !snippets.get(i).includes(text)) snippets.get(i).push(text);
+    }
+  }
+  const order = [...snippets.keys(), ...chunks.map((_, i) => i).filter((i) => !snippets.has(i) && chunks[i]?.web?.uri)];
+  const seen = new Set();
+  return order
+    .filter((i) => !seen.has(chunks[i].web.uri) && seen.add(chunks[i].web.uri))
+    .map((i) => ({
+      title: safeString(chunks[i].web.title).trim(),
+      uri: chunks[i].web.uri,
+      snippet: truncateForCell((snippets.get(i) || []).join(" … "))
+    }));
+}
+
+/**
+ * Options: the usual lang, model, cacheTtlSec, temperature (0 by default);
+ * sources: how many source URLs showSource puts next to the value (1 by default);
+ * citations: true spills one row per cited source: value, title, URL, snippet of the answer it supports
+ * (headers: true adds a header row), to audit where a number came from.
+ */
+export async function WEB(prompt, focusRange, showSource, options, invocation) {
+  const signal = signalFor(invocation);
   try {
+    const opt = parseOptions(options);
+    const lang = opt.lang || "fr";
     const query = normalizeNewlines(coerceToTextOrJoin2D(prompt)).trim();
     if (!query) return errorCode(ERR.BAD_INPUT);
 
@@ -543,6 +1094,7 @@ export async function WEB(prompt, focusRange, showSource) {
       const s = String(showSource).toLowerCase().trim();
       return s === "1" || s === "true" || s === "yes" || s === "oui";
     })();
+    const sourceCount = Math.floor(clamp(opt.sources, 1, LIMITS.WEB_MAX_SOURCES, opt.citations ? LIMITS.WEB_MAX_SOURCES : 1));
 
     const user = [
       `QUESTION: ${query}`,
@@ -552,35 +1104,33 @@ export async function WEB(prompt, focusRange, showSource) {
       'Schema: {"value": "...", "source": "...", "reason": "..."}'
     ].join("\n\n");
 
-    const res = await callGemini({
-      system: sysWeb("fr"),
+    const json = await callJson({
+      system: sysWeb(lang),
       user,
       options: {
-        temperature: 0.0,
+        ...opt,
+        temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
         responseMimeType: "application/json",
         // [CORRECTION] Syntaxe standard pour l'API publique v1beta
+        // (OpenAI : outil web_search de l'API Responses ; les autres fournisseurs renvoient #AI_NO_SEARCH)
         tools: [{ googleSearch: {} }] 
       },
-      functionName: "AI.WEB"
-    });
-
-    if (!res.ok) return errorCode(res.code);
-
-    const obj = extractJsonObject(res.text);
-    if (!obj) return errorCode(ERR.PARSE_ERROR);
-
-    let value = safeString(obj.value).trim();
-    let source = safeString(obj.source).trim();
+      functionName: "AI.WEB",
+      signal
+    }, jsonObjectParser());
+
+    if (!json.ok) return errorCode(json.code);
+    const { value: obj, res } = json;
+
+    // OpenAI web search writes its citations inline as markdown links: "2,1 M ([insee.fr](https://...))".
+    let value = safeString(obj.value)
+      .replace(/\s*\(\[[^\]]*\]\(https?:\/\/[^)\s]*\)\)/g, "")
+      .replace(/\[([^\]]*)\]\(https?:\/\/[^)\s]*\)/g, "$1")
+      .trim();
+    const rawSource = safeString(obj.source).trim();
+    const source = rawSource.match(/\]\((https?:\/\/[^)\s]+)\)/)?.[1] || rawSource;
     const reason = safeString(obj.reason).trim();
-
-    // [CORRECTION] Si l'IA n'a pas rempli la source dans le JSON, on la prend dans les métadonnées techniques
-    if (!isValidHttpUrl(source) && res.groundingMetadata?.groundingChunks?.length > 0) {
-        // On prend la première source Web disponible
-        const firstWebChunk = res.groundingMetadata.groundingChunks.find(c => c.web?.uri);
-        if (firstWebChunk) {
-            source = firstWebChunk.web.uri;
-        }
-    }
+    const citations = webCitations(res.groundingMetadata);
 
     if (!value) {
       return reason || errorCode(ERR.NOT_FOUND);
@@ -588,10 +1138,22 @@ export async function WEB(prompt, focusRange, showSource) {
 
     value = truncateForCell(value);
 
-    // Si l'utilisateur veut la source, on renvoie un tableau spill 1x2 : valeur + source à droite
+    if (opt.citations) {
+      const rows = citations.length
+        ? citations.slice(0, sourceCount).map((c) => [value, c.title, c.uri, c.snippet])
+        : [[value, "", isValidHttpUrl(source) ? source : "", ""]];
+      if (!opt.headers) return rows;
+      const fr = lang.toLowerCase().startsWith("fr");
+      return [fr ? ["Valeur", "Source", "URL", "Extrait"] : ["Value", "Source", "URL", "Snippet"], ...rows];
+    }
+
+    // Si l'utilisateur veut la source, on renvoie un tableau spill : valeur + source(s) à droite.
+    // La source donnée par le modèle passe en premier, puis celles des métadonnées de recherche.
     if (wantsSource) {
-      const src = isValidHttpUrl(source) ? source : "";
-      return [[value, src]];
+      const urls = Array.from(new Set([...(isValidHttpUrl(source) ? [source] : []), ...citations.map((c) => c.uri)]));
+      const row = [value, ...urls.slice(0, sourceCount)];
+      while (row.length < sourceCount + 1) row.push("");
+      return [row];
     }
 
     return value;
@@ -600,7 +1162,8 @@ export async function WEB(prompt, focusRange, showSource) {
   }
 }
 
-export async function TRANSLATE(text, targetLang, options) {
+export async function TRANSLATE(text, targetLang, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
     const lang = safeString(targetLang).trim() || "en";
@@ -619,12 +1182,20 @@ export async function TRANSLATE(text, targetLang, options) {
       const raw = flatCells[0];
       if (!raw.trim()) return [[""]];
 
-      const res = await callGemini({
-        system: sysTranslate(lang, 1),
+      const single = {
+        system: sysTranslate(lang),
         user: raw,
         options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.2 },
         functionName: "AI.TRANSLATE"
-      });
+      };
+      const res = opt.coalesce
+        ? await callCoalesced(raw, {
+          single,
+          batch: { system: (n) => sysTranslate(lang, n), options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 } },
+          shape: JSON.stringify([lang, opt]),
+          signal
+        })
+        : await callGemini({ ...single, signal });
 
       if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
       return [[truncateForCell(res.text)]];
@@ -633,35 +1204,98 @@ export async function TRANSLATE(text, targetLang, options) {
     const hasContent = flatCells.some((cell) => safeString(cell).trim());
     if (!hasContent) return matrix.map((row) => row.map(() => ""));
 
-    const userCells = flatCells
-      .map((cell, idx) => `${idx + 1}. ${cell ? cell : "<empty>"}`)
-      .join("\n");
-
-    const res = await callGemini({
-      system: sysTranslate(lang, flatCells.length),
-      user: ["Cells:", userCells].join("\n"),
-      options: {
-        ...opt,
-        temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
-        responseMimeType: "application/json"
-      },
-      functionName: "AI.TRANSLATE"
+    const results = await callBatch(flatCells, {
+      system: (n) => sysTranslate(lang, n),
+      options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 },
+      functionName: "AI.TRANSLATE",
+      signal
     });
 
-    if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
-
-    const obj = extractJsonObject(res.text);
-    if (!obj || !Array.isArray(obj.items)) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-    if (obj.items.length !== flatCells.length) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-
     let idx = 0;
-    return matrix.map((row) => row.map(() => truncateForCell(safeString(obj.items[idx++]))));
+    return matrix.map((row) =>
+      row.map(() => {
+        const r = results[idx++];
+        return r.ok ? truncateForCell(r.value) : errorCode(r.code);
+      })
+    );
   } catch (e) {
     return errorCode(ERR.API_ERROR);
   }
 }
 
-export async function CLASSIFY(text, labels, options) {
+/**
+ * { "withConfidence": true }: every input cell spills [label, confidence] (confidence between 0 and 1).
+ * The model always returns its best label; `threshold` is applied here, below it the label is UNKNOWN.
+ */
+async function classifyWithConfidence(matrix, flatCells, { labs, lang, threshold, opt, normalizeLabel, signal }) {
+  const schema = classificationSchema(labs);
+  const readValue = (v) => {
+    if (!v || typeof v !== "object" || Array.isArray(v) || typeof v.label !== "string") return undefined;
+    return { label: v.label, confidence: v.confidence };
+  };
+  const toCells = (v) => {
+    const confidence = clamp(v.confidence, 0, 1, 0);
+    return [confidence < threshold ? "UNKNOWN" : normalizeLabel(v.label), confidence];
+  };
+
+  const batchSystem = (n) => [
+    "You are a strict classifier.",
+    `You will classify ${n} independent cell values.`,
+    `Labels: ${labs.join(" | ")}`,
+    "Use the label text verbatim; do not translate or paraphrase labels.",
+    "For each cell, give the best label and your confidence: a number between 0 and 1 (higher means more certain).",
+    "If information is missing, return UNKNOWN with a low confidence.",
+    `Respond in ${lang}.`,
+    "Return STRICT JSON only (no Markdown, no code fences).",
+    batchItemsSpec(n),
+    `Each 'v' must be an object {"label": "<one of the provided labels or UNKNOWN>", "confidence": <0..1>}.`,
+    "No explanations.",
+  ].join("\n");
+
+  if (flatCells.length === 1) {
+    const raw = flatCells[0];
+    const single = {
+      ...buildClassifyPrompt(raw, labs, { lang }),
+      options: { ...opt, responseMimeType: "application/json", responseJsonSchema: schema },
+      functionName: "AI.CLASSIFY"
+    };
+    const parse = jsonObjectParser((obj) => (readValue(obj) ? "" : "Missing 'label'"));
+    let res;
+    if (opt.coalesce) {
+      res = await callCoalesced(raw, { single, batch: { system: batchSystem, options: opt, valueSchema: schema, readValue }, shape: JSON.stringify([labs, lang, opt]), signal });
+      if (res.ok) {
+        const parsed = parse(res.text);
+        res = parsed.ok ? { ok: true, value: parsed.value } : { ok: false, code: ERR.PARSE_ERROR };
+      }
+    } else {
+      res = await callJson({ ...single, signal }, parse);
+    }
+    if (!res.ok) return [[errorCode(res.code), ""]];
+    return [toCells(res.value)];
+  }
+
+  if (!flatCells.some((cell) => safeString(cell).trim())) return matrix.map((row) => row.flatMap(() => ["UNKNOWN", 0]));
+
+  const results = await callBatch(flatCells, {
+    system: batchSystem,
+    options: opt,
+    valueSchema: schema,
+    readValue,
+    functionName: "AI.CLASSIFY",
+    signal
+  });
+
+  let idx = 0;
+  return matrix.map((row) =>
+    row.flatMap(() => {
+      const r = results[idx++];
+      return r.ok ? toCells(r.value) : [errorCode(r.code), ""];
+    })
+  );
+}
+
+export async function CLASSIFY(text, labels, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
     const lang = opt.lang || "en";
@@ -694,6 +1328,25 @@ export async function CLASSIFY(text, labels, options) {
       return match || "UNKNOWN";
     };
 
+    const batchSystem = (n) => [
+      "You are a strict classifier.",
+      `You will classify ${n} independent cell values.`,
+      `Labels: ${labs.join(" | ")}`,
+      "Use the label text verbatim; do not translate or paraphrase labels.",
+      `If confidence < ${threshold} or information is missing, return exactly: UNKNOWN`,
+      `Respond in ${lang}.`,
+      "Return STRICT JSON only (no Markdown, no code fences).",
+      batchItemsSpec(n),
+      "Each 'v' must be one of the provided labels or UNKNOWN.",
+      "No explanations.",
+    ].join("\n");
+
+    const batchOptions = { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 };
+
+    // The agreement of the votes takes the place of the confidence column.
+    if (voteCount(opt) > 1) return await runVotes(opt, invocation, (o, inv) => CLASSIFY(text, labels, { ...o, withConfidence: false }, inv));
+    if (opt.withConfidence) return await classifyWithConfidence(matrix, flatCells, { labs, lang, threshold, opt: batchOptions, normalizeLabel, signal });
+
     if (flatCells.length === 1) {
       const raw = flatCells[0];
       const system = sysClassify(labs, lang);
@@ -704,7 +1357,10 @@ export async function CLASSIFY(text, labels, options) {
         `Return only one label. If confidence < ${threshold}, return UNKNOWN.`
       ].join("\n");
 
-      const res = await callGemini({ system, user, options: opt, functionName: "AI.CLASSIFY" });
+      const single = { system, user, options: opt, functionName: "AI.CLASSIFY" };
+      const res = opt.coalesce
+        ? await callCoalesced(raw, { single, batch: { system: batchSystem, options: batchOptions, valueSchema: labelSchema(labs) }, shape: JSON.stringify([labs, lang, opt]), signal })
+        : await callGemini({ ...single, signal });
       if (!res.ok) return errorCode(res.code);
 
       return [[normalizeLabel(res.text)]];
@@ -713,50 +1369,110 @@ export async function CLASSIFY(text, labels, options) {
     const hasContent = flatCells.some((cell) => safeString(cell).trim());
     if (!hasContent) return matrix.map((row) => row.map(() => "UNKNOWN"));
 
-    const userCells = flatCells
-      .map((cell, idx) => `${idx + 1}. ${cell ? cell : "<empty>"}`)
-      .join("\n");
+    const results = await callBatch(flatCells, {
+      system: batchSystem,
+      options: batchOptions,
+      valueSchema: labelSchema(labs),
+      functionName: "AI.CLASSIFY",
+      signal
+    });
 
-    const system = [
-      "You are a strict classifier.",
-      `You will classify ${flatCells.length} independent cell values.`,
-      `Labels: ${labs.join(" | ")}`,
-      "Use the label text verbatim; do not translate or paraphrase labels.",
-      `If confidence < ${threshold} or information is missing, return exactly: UNKNOWN`,
-      `Respond in ${lang}.`,
-      "Return STRICT JSON only (no Markdown, no code fences).",
-      `Return an object with a single key 'items' containing exactly ${flatCells.length} strings in the same order as the provided cells.`,
-      "Each item must be one of the provided labels or UNKNOWN.",
-      "No explanations.",
-    ].join("\n");
+    let idx = 0;
+    return matrix.map((row) =>
+      row.map(() => {
+        const r = results[idx++];
+        return r.ok ? normalizeLabel(r.value) : errorCode(r.code);
+      })
+    );
+  } catch (e) {
+    return errorCode(ERR.API_ERROR);
+  }
+}
+
+/**
+ * Zero to many tags per cell, taken from a fixed list of labels.
+ * Default output: the tags of each cell joined by `separator` (", "). With { "format": "matrix" }, every
+ * input cell spills one TRUE/FALSE column per label ({ "headers": true } adds the labels as a first row).
+ * Tags outside the list are dropped here, whatever the model returns.
+ */
+export async function TAG(textRange, labelsRange, options, invocation) {
+  const signal = signalFor(invocation);
+  try {
+    const opt = parseOptions(options);
+    const lang = opt.lang || "en";
+    const asMatrix = String(opt.format || "").toLowerCase() === "matrix";
+    const separator = typeof opt.separator === "string" ? opt.separator : ", ";
+    const maxTags = typeof opt.maxTags === "number" ? Math.floor(clamp(opt.maxTags, 1, 50, 0)) : 0;
 
-    const user = ["Cells:", userCells].join("\n");
+    const labs = Array.from(
+      new Map(
+        flattenLabels(labelsRange)
+          .map((label) => safeString(label).trim())
+          .filter(Boolean)
+          .map((label) => [label.toLowerCase(), label])
+      ).values()
+    );
+    const matrix = normalizeRangeToMatrix(textRange);
+    const flatCells = [];
+    for (const row of matrix) {
+      for (const cell of row) {
+        flatCells.push(normalizeNewlines(coerceToTextOrJoin2D(cell)));
+      }
+    }
 
-    const res = await callGemini({
-      system,
-      user,
-      options: {
-        ...opt,
-        temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
-        responseMimeType: "application/json"
-      },
-      functionName: "AI.CLASSIFY"
-    });
+    if (!labs.length || flatCells.length === 0) return fillMatrix(matrix, errorCode(ERR.BAD_INPUT));
 
-    if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
+    // Allowed tags only, in label order, without duplicates.
+    const readValue = (v) => {
+      if (v === "" || v === null) return [];
+      const raw = Array.isArray(v) ? v : typeof v === "string" ? v.split(/[|,;\n]+/) : null;
+      if (!raw) return undefined;
+      const picked = new Set(raw.map((t) => safeString(t).trim().toLowerCase()));
+      const tags = labs.filter((l) => picked.has(l.toLowerCase()));
+      return maxTags ? tags.slice(0, maxTags) : tags;
+    };
 
-    const obj = extractJsonObject(res.text);
-    if (!obj || !Array.isArray(obj.items)) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-    if (obj.items.length !== flatCells.length) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
+    const results = await callBatch(flatCells, {
+      system: (n) => [
+        "You are a strict multi-label tagger.",
+        `You will tag ${n} independent cell values.`,
+        `Allowed tags: ${labs.join(" | ")}`,
+        "Give every tag that applies to the cell, and only those: zero, one or several.",
+        "Use the tag text verbatim; do not translate, paraphrase or invent tags.",
+        maxTags ? `At most ${maxTags} tags per cell, the most relevant first.` : "",
+        "Return an empty array when no tag applies or the cell is empty.",
+        `Respond in ${lang}.`,
+        "Return STRICT JSON only (no Markdown, no code fences).",
+        batchItemsSpec(n),
+        "Each 'v' must be an array of allowed tags.",
+        "No explanations."
+      ].filter(Boolean).join("\n"),
+      options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 },
+      valueSchema: tagListSchema(labs),
+      readValue,
+      functionName: "AI.TAG",
+      signal
+    });
 
     let idx = 0;
-    return matrix.map((row) => row.map(() => normalizeLabel(obj.items[idx++])));
+    const out = matrix.map((row) =>
+      row.flatMap(() => {
+        const r = results[idx++];
+        const tags = r.ok ? readValue(r.value) : null;
+        if (!asMatrix) return [tags ? tags.join(separator) : errorCode(r.code)];
+        if (!tags) return labs.map(() => errorCode(r.code));
+        return labs.map((l) => tags.includes(l));
+      })
+    );
+    if (asMatrix && opt.headers) out.unshift(matrix[0].flatMap(() => labs));
+    return out;
   } catch (e) {
     return errorCode(ERR.API_ERROR);
   }
 }
 
-export async function CLEAN(text, options) {
+export async function CLEAN(text, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
 
@@ -775,12 +1491,15 @@ export async function CLEAN(text, options) {
       if (!raw.trim()) return [[""]];
 
       const lang = opt.lang || "fr";
-      const res = await callGemini({
+      const single = {
         system: sysClean(lang),
         user: raw,
         options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 },
         functionName: "AI.CLEAN"
-      });
+      };
+      const res = opt.coalesce
+        ? await callCoalesced(raw, { single, batch: { system: (n) => sysClean(lang, n), options: single.options }, shape: JSON.stringify([lang, opt]), signal })
+        : await callGemini({ ...single, signal });
 
       if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
       return [[truncateForCell(res.text)]];
@@ -790,47 +1509,39 @@ export async function CLEAN(text, options) {
     const hasContent = flatCells.some((cell) => safeString(cell).trim());
     if (!hasContent) return matrix.map((row) => row.map(() => ""));
 
-    const userCells = flatCells
-      .map((cell, idx) => `${idx + 1}. ${cell ? cell : "<empty>"}`)
-      .join("\n");
-
-    const user = [
-      `You will clean ${flatCells.length} independent cell values.`,
+    const user = (list, n) => [
+      `You will clean ${n} independent cell values.`,
       "Return STRICT JSON only (no Markdown, no code fences).",
-      `Return an object with a single key 'items' containing exactly ${flatCells.length} strings in the same order as the provided cells.`,
+      batchItemsSpec(n),
       "Preserve the intent of each cell; do not merge or summarize.",
       "Use an empty string for empty or whitespace-only inputs.",
       "Lightly normalize whitespace and punctuation without inventing content.",
       "Cells:",
-      userCells
+      list
     ].join("\n");
 
-    const res = await callGemini({
-      system: sysClean(lang, flatCells.length),
+    const results = await callBatch(flatCells, {
+      system: (n) => sysClean(lang, n),
       user,
-      options: {
-        ...opt,
-        temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
-        responseMimeType: "application/json"
-      },
-      functionName: "AI.CLEAN"
+      options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 },
+      functionName: "AI.CLEAN",
+      signal
     });
 
-    if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
-
-    const obj = extractJsonObject(res.text);
-    if (!obj || !Array.isArray(obj.items)) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-    if (obj.items.length !== flatCells.length) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-
-    const cleaned = obj.items.map((item) => safeString(item));
     let idx = 0;
-    return matrix.map((row) => row.map(() => truncateForCell(cleaned[idx++])));
+    return matrix.map((row) =>
+      row.map(() => {
+        const r = results[idx++];
+        return r.ok ? truncateForCell(r.value) : errorCode(r.code);
+      })
+    );
   } catch (e) {
     return fillMatrix(normalizeRangeToMatrix(text), errorCode(ERR.API_ERROR));
   }
 }
 
-export async function CONSISTENT(text, options) {
+export async function CONSISTENT(text, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
 
@@ -847,43 +1558,45 @@ export async function CONSISTENT(text, options) {
     const hasContent = flatCells.some((cell) => safeString(cell).trim());
     if (!hasContent) return matrix.map((row) => row.map(() => ""));
 
-    const userCells = flatCells
-      .map((cell, idx) => `${idx + 1}. ${cell ? cell : "<vide>"}`)
-      .join("\n");
-
     const lang = opt.lang || "fr";
-    const user = [
-      `You will harmonize ${flatCells.length} cell values for consistent sorting/counting.`,
-      "Cells:",
-      userCells
-    ].join("\n");
+    // Harmonizing needs to see the values already chosen: chunks run one after the other and each one
+    // receives the distinct values returned so far.
+    const user = (list, n, previous) => {
+      const known = Array.from(new Set(previous.map((v) => v.trim()).filter(Boolean)));
+      return [
+        `You will harmonize ${n} cell values for consistent sorting/counting.`,
+        known.length
+          ? ["Values already used for earlier rows (reuse one verbatim when a cell refers to the same entity):", ...known.map((v) => `- ${v}`)].join("\n")
+          : "",
+        "Cells:",
+        list
+      ].filter(Boolean).join("\n");
+    };
 
-    const res = await callGemini({
-      system: sysConsistent(lang, flatCells.length),
+    const results = await callBatch(flatCells, {
+      system: (n) => sysConsistent(lang, n),
       user,
-      options: {
-        ...opt,
-        temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
-        responseMimeType: "application/json"
-      },
-      functionName: "AI.CONSISTENT"
+      options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 },
+      functionName: "AI.CONSISTENT",
+      signal,
+      emptyLabel: "<vide>",
+      sequential: true
     });
 
-    if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
-
-    const obj = extractJsonObject(res.text);
-    if (!obj || !Array.isArray(obj.items)) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-    if (obj.items.length !== flatCells.length) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-
-    const normalized = obj.items.map((item) => safeString(item));
     let idx = 0;
-    return matrix.map((row) => row.map(() => truncateForCell(normalized[idx++])));
+    return matrix.map((row) =>
+      row.map(() => {
+        const r = results[idx++];
+        return r.ok ? truncateForCell(r.value) : errorCode(r.code);
+      })
+    );
   } catch (e) {
     return fillMatrix(normalizeRangeToMatrix(text), errorCode(ERR.API_ERROR));
   }
 }
 
-export async function SUMMARIZE(textOrRange, options) {
+export async function SUMMARIZE(textOrRange, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
     const lang = opt.lang || "fr";
@@ -902,12 +1615,15 @@ export async function SUMMARIZE(textOrRange, options) {
       const raw = flatCells[0];
       if (!raw.trim()) return [[""]];
 
-      const res = await callGemini({
+      const single = {
         system: sysSummarize(lang),
         user: raw,
         options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.2 },
         functionName: "AI.SUMMARIZE"
-      });
+      };
+      const res = opt.coalesce
+        ? await callCoalesced(raw, { single, batch: { system: (n) => sysSummarize(lang, n), options: single.options, emptyLabel: "<vide>" }, shape: JSON.stringify([lang, opt]), signal })
+        : await callGemini({ ...single, signal });
 
       if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
       return [[truncateForCell(res.text)]];
@@ -916,35 +1632,28 @@ export async function SUMMARIZE(textOrRange, options) {
     const hasContent = flatCells.some((cell) => safeString(cell).trim());
     if (!hasContent) return matrix.map((row) => row.map(() => ""));
 
-    const userCells = flatCells
-      .map((cell, idx) => `${idx + 1}. ${cell ? cell : "<vide>"}`)
-      .join("\n");
-
-    const res = await callGemini({
-      system: sysSummarize(lang, flatCells.length),
-      user: ["Cells:", userCells].join("\n"),
-      options: {
-        ...opt,
-        temperature: typeof opt.temperature === "number" ? opt.temperature : 0.2,
-        responseMimeType: "application/json"
-      },
-      functionName: "AI.SUMMARIZE"
+    const results = await callBatch(flatCells, {
+      system: (n) => sysSummarize(lang, n),
+      options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.2 },
+      functionName: "AI.SUMMARIZE",
+      signal,
+      emptyLabel: "<vide>"
     });
 
-    if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
-
-    const obj = extractJsonObject(res.text);
-    if (!obj || !Array.isArray(obj.items)) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-    if (obj.items.length !== flatCells.length) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-
     let idx = 0;
-    return matrix.map((row) => row.map(() => truncateForCell(safeString(obj.items[idx++]))));
+    return matrix.map((row) =>
+      row.map(() => {
+        const r = results[idx++];
+        return r.ok ? truncateForCell(r.value) : errorCode(r.code);
+      })
+    );
   } catch (e) {
     return fillMatrix(normalizeRangeToMatrix(textOrRange), errorCode(ERR.API_ERROR));
   }
 }
 
-export async function EXTRACT(textOrRange, instruction, options) {
+export async function EXTRACT(textOrRange, instruction, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
     const lang = opt.lang || "fr";
@@ -964,93 +1673,115 @@ export async function EXTRACT(textOrRange, instruction, options) {
 
     // Fast-path: email extraction is far more reliable (and cheaper) with a deterministic regex.
     if (isEmailLikeInstruction(instr)) {
+      const found = flatCells.map((cell) => extractEmailsFromText(cell, instr));
+      logLocalExtract("email", found.filter((emails) => emails.length).length);
       if (flatCells.length === 1) {
-        const emails = extractEmailsFromText(flatCells[0], instr);
-        if (!emails.length) return [[errorCode(ERR.NOT_FOUND)]];
-        return emails.map((e) => [truncateForCell(e)]);
+        if (!found[0].length) return [[errorCode(ERR.NOT_FOUND)]];
+        return found[0].map((e) => [truncateForCell(e)]);
       }
 
       let i = 0;
       return matrix.map((row) =>
         row.map(() => {
-          const emails = extractEmailsFromText(flatCells[i++], instr);
+          const emails = found[i++];
           if (!emails.length) return errorCode(ERR.NOT_FOUND);
           return truncateForCell(emails[0]);
         })
       );
     }
 
+    // Same local-first approach for phones, URLs, IBAN, VAT, SIRET/SIREN, postal codes, dates and amounts
+    // (see detectors.js), except that the cells where the detector finds nothing go to the model.
+    // { "local": false } always asks the model.
+    const detector = opt.local === false ? null : detectorForInstruction(instr);
+    const local = flatCells.map((cell) => (detector ? detector.find(cell) : []));
+    const localCount = local.filter((found) => found.length).length;
+    if (localCount) logLocalExtract(detector.id, localCount);
+    const toCell = (v) => (typeof v === "string" ? truncateForCell(v) : v);
+    // Model answers get the detector's type too (a date serial, a number) when they parse.
+    const modelValue = (v) => {
+      const typed = detector?.parse ? detector.parse(v) : null;
+      return typed === null ? truncateForCell(v) : typed;
+    };
+    const functionName = detector ? `AI.EXTRACT [model: ${detector.id}]` : "AI.EXTRACT";
+
+    if (flatCells.length === 1 && local[0].length) return local[0].map((v) => [toCell(v)]);
+    if (localCount && flatCells.every((cell, i) => local[i].length || !cell.trim())) {
+      let i = 0;
+      return matrix.map((row) =>
+        row.map(() => {
+          const found = local[i++];
+          return found.length ? toCell(found[0]) : errorCode(ERR.NOT_FOUND);
+        })
+      );
+    }
+
+    // A single cell can spill several values: the votes compare whole lists.
+    if (voteCount(opt) > 1) return await runVotes(opt, invocation, (o, inv) => EXTRACT(textOrRange, instruction, o, inv), { whole: flatCells.length === 1 });
+
     if (flatCells.length === 1) {
       const raw = flatCells[0];
       if (!raw.trim()) return [[errorCode(ERR.NOT_FOUND)]];
 
-      const res = await callGemini({
+      const res = await callJson({
         system: sysExtract(instr, lang),
         user: raw,
         options: {
           ...opt,
           temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
-          responseMimeType: "application/json"
+          responseMimeType: "application/json",
+          responseJsonSchema: stringListSchema("items")
         },
-        functionName: "AI.EXTRACT"
-      });
+        functionName,
+        signal
+      }, jsonObjectParser((obj) => (Array.isArray(obj.items) ? "" : "Missing 'items' array")));
 
       if (!res.ok) return [[errorCode(res.code)]];
 
-      const obj = extractJsonObject(res.text);
-      if (!obj || !Array.isArray(obj.items)) return [[errorCode(ERR.PARSE_ERROR)]];
-
-      const items = obj.items
+      const items = res.value.items
         .map((item) => lightlyCleanExtractedValue(item, instr))
         .map((x) => safeString(x))
         .filter((x) => x.trim());
 
       if (items.length === 0) return [[errorCode(ERR.NOT_FOUND)]];
-      return items.map((v) => [truncateForCell(v)]);
+      return items.map((v) => [modelValue(v)]);
     }
 
     const hasNonEmptyCell = flatCells.some((cell) => safeString(cell).trim());
     if (!hasNonEmptyCell) return matrix.map((row) => row.map(() => errorCode(ERR.NOT_FOUND)));
 
-    const userCells = flatCells
-      .map((cell, idx) => `${idx + 1}. ${cell ? cell : "<empty>"}`)
-      .join("\n");
-
-    const user = [
-      `You will process ${flatCells.length} independent cell values.`,
+    const user = (list, n) => [
+      `You will process ${n} independent cell values.`,
       `Instruction: "${instr}".`,
       "Return STRICT JSON only (no Markdown, no code fences).",
-      `Return an object with a single key 'items' containing exactly ${flatCells.length} strings in the same order as the provided cells.`,
+      batchItemsSpec(n),
       "Use an empty string when the requested value is absent or uncertain for a cell.",
       "Do not invent values; only return data present in the corresponding cell.",
       "Lightly clean outputs (trim spaces, fix obvious email obfuscation).",
       "Cells:",
-      userCells
+      list
     ].join("\n");
 
-    const res = await callGemini({
-      system: sysExtract(instr, lang, flatCells.length),
+    // Cells already answered by the detector are not sent.
+    const pending = flatCells.map((_, i) => i).filter((i) => !local[i].length);
+    const results = await callBatch(pending.map((i) => flatCells[i]), {
+      system: (n) => sysExtract(instr, lang, n),
       user,
-      options: {
-        ...opt,
-        temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
-        responseMimeType: "application/json"
-      },
-      functionName: "AI.EXTRACT"
+      options: { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 },
+      functionName,
+      signal
     });
+    const byCell = new Map(pending.map((cellIdx, k) => [cellIdx, results[k]]));
 
-    if (!res.ok) return fillMatrix(matrix, errorCode(res.code));
-
-    const obj = extractJsonObject(res.text);
-    if (!obj || !Array.isArray(obj.items)) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-    if (obj.items.length !== flatCells.length) return fillMatrix(matrix, errorCode(ERR.PARSE_ERROR));
-
-    const cleaned = obj.items.map((item) => lightlyCleanExtractedValue(item, instr));
     let idx = 0;
     return matrix.map((row) =>
       row.map(() => {
-        const v = cleaned[idx++];
-        if (safeString(v).trim()) return truncateForCell(v);
+        const i = idx++;
+        if (local[i].length) return toCell(local[i][0]);
+        const r = byCell.get(i);
+        if (!r.ok) return errorCode(r.code);
+        const v = lightlyCleanExtractedValue(r.value, instr);
+        if (safeString(v).trim()) return modelValue(v);
         return errorCode(ERR.NOT_FOUND);
       })
     );
@@ -1059,12 +1790,112 @@ export async function EXTRACT(textOrRange, instruction, options) {
   }
 }
 
+// Field types of AI.EXTRACT_FIELDS ("amount:number"); any other type is text.
+const FIELD_TYPES = {
+  number: "number", nombre: "number", num: "number", int: "number", integer: "number", float: "number",
+  decimal: "number", amount: "number", montant: "number",
+  date: "date", datetime: "date",
+  boolean: "boolean", bool: "boolean", booleen: "boolean", "booléen": "boolean"
+};
+
+// Typed fields become Excel numbers, date serials and booleans; a value that does not parse stays as text.
+function fieldCellValue(v, type) {
+  if (v === null || v === undefined || v === "") return "";
+  const text = typeof v === "object" ? JSON.stringify(v) : safeString(v);
+  let typed = null;
+  if (type === "number") typed = parseLocaleNumber(v);
+  else if (type === "date") typed = typeof v === "number" ? v : parseDateSerial(v);
+  else if (type === "boolean") typed = parseBoolean(v);
+  return typed === null ? truncateForCell(text.trim()) : typed;
+}
+
+/**
+ * One row per input cell (row by row), one column per field. `fields` is "name;email;amount:number;date:date",
+ * a JSON { "field": "type" } object (see parseFields) or a range with one field per cell.
+ * number, date and boolean fields come back as numbers, date serials (format the column as a date) and
+ * booleans. { "headers": true } adds the field names as a first row.
+ */
+export async function EXTRACT_FIELDS(textRange, fields, options, invocation) {
+  const signal = signalFor(invocation);
+  try {
+    const opt = parseOptions(options);
+    const lang = opt.lang || "fr";
+
+    const fieldMatrix = normalizeRangeToMatrix(fields);
+    const spec = fieldMatrix.length > 1 || fieldMatrix[0].length > 1 ? flattenLabels(fieldMatrix).join(";") : safeString(fieldMatrix[0][0]);
+    const info = parseFields(spec);
+    if (!info.ok) return [[errorCode(ERR.BAD_SCHEMA)]];
+    const names = info.fields;
+    const types = Object.fromEntries(names.map((f) => [f, FIELD_TYPES[info.types[f]] || "string"]));
+
+    const flatCells = [];
+    for (const row of normalizeRangeToMatrix(textRange)) {
+      for (const cell of row) {
+        flatCells.push(normalizeNewlines(coerceToTextOrJoin2D(cell)));
+      }
+    }
+    if (flatCells.length === 0) return [[errorCode(ERR.BAD_INPUT)]];
+
+    const schema = fieldsSchema(names, types);
+    const callOptions = { ...opt, temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0 };
+    const readValue = (v) => (v && typeof v === "object" && !Array.isArray(v) ? v : undefined);
+    const toRow = (obj) => names.map((f) => fieldCellValue(obj[f], types[f]));
+    const header = opt.headers ? [names.slice()] : [];
+
+    if (flatCells.length === 1) {
+      const raw = flatCells[0];
+      if (!raw.trim()) return [...header, names.map(() => "")];
+
+      const res = await callJson({
+        ...buildExtractPrompt(raw, { fields: names, types }, { lang }),
+        options: { ...callOptions, responseMimeType: "application/json", responseJsonSchema: schema },
+        functionName: "AI.EXTRACT_FIELDS",
+        signal
+      }, jsonObjectParser());
+
+      if (!res.ok) return [...header, names.map(() => errorCode(res.code))];
+      return [...header, toRow(res.value)];
+    }
+
+    const results = await callBatch(flatCells, {
+      system: (n) => [
+        "You extract structured fields from unstructured text.",
+        `You will process ${n} independent cell values.`,
+        "FIELDS:",
+        ...names.map((f) => `- ${f}${types[f] !== "string" ? ` (${types[f]})` : ""}`),
+        "If a field is not present in a cell, return null for that field. Do not invent values.",
+        'number fields: a JSON number, without currency, unit or thousands separator. date fields: "YYYY-MM-DD". boolean fields: true or false.',
+        `Responding language for values: ${lang} (keep extracted values as-is if they are emails, phone numbers, IDs, etc.).`,
+        "Return STRICT JSON only (no Markdown, no code fences).",
+        batchItemsSpec(n),
+        "Each 'v' must be an object with exactly the field names as keys."
+      ].join("\n"),
+      options: callOptions,
+      valueSchema: schema,
+      readValue,
+      functionName: "AI.EXTRACT_FIELDS",
+      signal
+    });
+
+    return [
+      ...header,
+      ...results.map((r, i) => {
+        if (!flatCells[i].trim()) return names.map(() => "");
+        return r.ok && readValue(r.value) ? toRow(r.value) : names.map(() => errorCode(r.ok ? ERR.PARSE_ERROR : r.code));
+      })
+    ];
+  } catch (e) {
+    return [[errorCode(ERR.API_ERROR)]];
+  }
+}
+
 /**
  * =AI.TABLE(prompt, [contextRange], [options])
  * Correctif : Utilise responseMimeType: application/json pour éviter les erreurs de format,
  * et normalise la matrice (Spill) pour qu'elle soit rectangulaire.
  */
-export async function TABLE(prompt, contextRange, options) {
+export async function TABLE(prompt, contextRange, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
     const lang = opt.lang || "fr";
@@ -1094,27 +1925,64 @@ export async function TABLE(prompt, contextRange, options) {
       `PROMPT:\n${coerceToTextOrJoin2D(prompt)}`
     ].filter(Boolean).join("\n\n");
 
-    // APPEL avec responseMimeType 'application/json'
-    const res = await callGemini({
+    // APPEL avec responseMimeType 'application/json' (réponse invalide => réparation, voir callJson)
+    const args = {
       system,
       user,
       options: {
         ...opt,
         temperature: typeof opt.temperature === "number" ? opt.temperature : 0.1,
-        responseMimeType: "application/json"
+        responseMimeType: "application/json",
+        responseJsonSchema: tableSchema({ columns: requestedHeaders ? requestedHeaders.length : 0, maxRows })
       },
-      functionName: "AI.TABLE"
+      functionName: "AI.TABLE",
+      signal
+    };
+    const parseTable = jsonObjectParser((obj) => {
+      if (!Array.isArray(obj.headers) || !Array.isArray(obj.rows)) return "Missing 'headers' or 'rows' array";
+      return obj.headers.length ? "" : "Empty 'headers'";
     });
 
-    if (!res.ok) return errorCode(res.code);
-
-    const obj = extractJsonObject(res.text);
-    if (!obj || !Array.isArray(obj.headers) || !Array.isArray(obj.rows)) {
-      return errorCode(ERR.PARSE_ERROR);
+    const res = await callJson(args, parseTable);
+    let obj = res.ok ? res.value : null;
+    let truncated = false;
+
+    // Réponse coupée par la limite de tokens : on garde les lignes complètes et on demande la suite.
+    if (!res.ok && res.code === ERR.TRUNCATED && opt.autoContinue) {
+      obj = { headers: salvageStringArray(res.text, "headers"), rows: salvageTableRows(res.text) };
+      truncated = true;
+      for (let i = 1; obj.headers.length && truncated && i <= LIMITS.MAX_CONTINUATIONS && obj.rows.length < maxRows; i++) {
+        const last = obj.rows[obj.rows.length - 1];
+        const next = await callJson({
+          ...args,
+          user: [
+            user,
+            "",
+            `ROWS ALREADY RETURNED: ${obj.rows.length}.`,
+            last ? `The last one was: ${JSON.stringify(last)}` : "",
+            "Continue the table: return the same JSON object with the same headers and ONLY the rows after that one.",
+            "Return an empty 'rows' array if the table is already complete."
+          ].filter(Boolean).join("\n"),
+          functionName: `AI.TABLE [continue ${i}]`
+        }, parseTable);
+
+        if (next.ok) {
+          obj.rows.push(...next.value.rows);
+          truncated = false;
+        } else if (next.code === ERR.TRUNCATED) {
+          const more = salvageTableRows(next.text);
+          if (!more.length) break;
+          obj.rows.push(...more);
+        } else {
+          return errorCode(next.code);
+        }
+      }
+      if (!obj.headers.length) return errorCode(ERR.TRUNCATED);
+    } else if (!res.ok) {
+      return errorCode(res.code);
     }
 
     const h = obj.headers.map((x) => safeString(x));
-    if (h.length === 0) return errorCode(ERR.PARSE_ERROR);
 
     // Construction de la matrice de sortie (Rectangulaire)
     const out = [h];
@@ -1131,6 +1999,8 @@ export async function TABLE(prompt, contextRange, options) {
       }
       out.push(cleanRow);
     }
+    // Toujours tronqué après les relances : une dernière ligne le signale.
+    if (truncated && rows.length < maxRows) out.push(h.map((_, i) => (i === 0 ? ERR.TRUNCATED : "")));
 
     return out;
   } catch (e) {
@@ -1138,7 +2008,8 @@ export async function TABLE(prompt, contextRange, options) {
   }
 }
 
-export async function FILL(exampleRange, targetRange, instruction, options) {
+export async function FILL(exampleRange, targetRange, instruction, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
     const lang = opt.lang || "fr";
@@ -1148,6 +2019,7 @@ export async function FILL(exampleRange, targetRange, instruction, options) {
 
     const targetRows = Array.isArray(targets) ? targets.length : 0;
     if (!targetRows) return [];
+    if (voteCount(opt) > 1) return await runVotes(opt, invocation, (o, inv) => FILL(exampleRange, targetRange, instruction, o, inv));
 
     // No hard limit: fill the entire target range by default.
     // If the user provides opt.maxRows, respect it (still only bounded by tokens/model limits).
@@ -1158,72 +2030,312 @@ export async function FILL(exampleRange, targetRange, instruction, options) {
     })();
 
     const exTSV = matrixToTSV(examples, opt.maxExamplesChars);
-    const tgtTSV = matrixToTSV(targets.slice(0, rowsToFill), opt.maxTargetsChars);
+    const parseValues = jsonObjectParser((obj) => (Array.isArray(obj.values) ? "" : "Missing 'values' array"));
+
+    // One call for the whole range; a truncated answer keeps its complete values and, with
+    // autoContinue, the remaining rows are requested again (rows still missing get #AI_TRUNCATED).
+    const values = [];
+    let missingCode = ERR.TRUNCATED;
+    for (let i = 0; values.length < rowsToFill; i++) {
+      const remaining = rowsToFill - values.length;
+      const user = [
+        "INSTRUCTION:",
+        normalizeNewlines(coerceToTextOrJoin2D(instruction)),
+        "",
+        "EXAMPLES (TSV):",
+        exTSV,
+        "",
+        "TARGET INPUTS (TSV):",
+        matrixToTSV(targets.slice(values.length, rowsToFill), opt.maxTargetsChars)
+      ].join("\n");
+
+      const res = await callJson({
+        system: sysFill(lang, remaining),
+        user,
+        options: {
+          ...opt,
+          temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
+          responseMimeType: "application/json",
+          responseJsonSchema: stringListSchema("values", remaining)
+        },
+        functionName: i ? `AI.FILL [continue ${i}]` : "AI.FILL",
+        signal
+      }, parseValues);
+
+      if (res.ok) {
+        const got = res.value.values.map((x) => safeString(x));
+        while (got.length < remaining) got.push("");
+        values.push(...got.slice(0, remaining));
+        break;
+      }
+      if (res.code !== ERR.TRUNCATED) {
+        missingCode = res.code;
+        break;
+      }
+      const got = salvageStringArray(res.text, "values").slice(0, remaining);
+      values.push(...got);
+      if (!opt.autoContinue || !got.length || i >= LIMITS.MAX_CONTINUATIONS) break;
+    }
+
+    if (!values.length) return errorCode(missingCode);
+    while (values.length < rowsToFill) values.push(missingCode);
+    return values.map((v) => [truncateForCell(v)]);
+  } catch (e) {
+    return errorCode(ERR.API_ERROR);
+  }
+}
+
+// The workbook's formula locale when the runtime has captured it, else guessed from `lang`.
+async function formulaDialect(lang) {
+  const locale = await getExcelLocale();
+  if (locale) return locale;
+  return String(lang || "").toLowerCase().startsWith("fr") ? FORMULA_DIALECTS.fr : FORMULA_DIALECTS.en;
+}
 
+export async function FORMULA(instruction, contextRange, options, invocation) {
+  const signal = signalFor(invocation);
+  try {
+    const opt = parseOptions(options);
+    const lang = opt.lang || "fr";
+
+    const ctx = contextRange ? matrixToTSV(contextRange, opt.maxContextChars) : "";
     const user = [
-      "INSTRUCTION:",
-      normalizeNewlines(coerceToTextOrJoin2D(instruction)),
-      "",
-      "EXAMPLES (TSV):",
-      exTSV,
-      "",
-      "TARGET INPUTS (TSV):",
-      tgtTSV
-    ].join("\n");
+      ctx ? `CONTEXT (TSV):\n${ctx}` : "",
+      `INSTRUCTION:\n${coerceToTextOrJoin2D(instruction)}`
+    ]
+      .filter(Boolean)
+      .join("\n\n");
 
-    const res = await callGemini({
-      system: sysFill(lang, rowsToFill),
-      user,
-      options: {
-        ...opt,
-        temperature: typeof opt.temperature === "number" ? opt.temperature : 0.0,
-        responseMimeType: "application/json"
-      },
-      functionName: "AI.FILL"
-    });
+    const dialect = await formulaDialect(lang);
+    const attempts = typeof opt.repairAttempts === "number"
+      ? Math.floor(clamp(opt.repairAttempts, 0, 3, DEFAULTS.jsonRepairAttempts))
+      : DEFAULTS.jsonRepairAttempts;
 
-    if (!res.ok) return errorCode(res.code);
+    // The formula is translated into the workbook dialect when the model used the other one, then checked
+    // locally; a formula that still fails is sent back with the error, up to `repairAttempts` times.
+    let previous = null;
+    for (let attempt = 0; ; attempt++) {
+      const res = await callGemini({
+        system: sysFormula(dialect, lang),
+        user: previous
+          ? [
+              user,
+              `PREVIOUS FORMULA:\n${previous.formula}`,
+              `VALIDATION ERROR:\n${previous.error}`,
+              "Return the corrected formula only."
+            ].join("\n\n")
+          : user,
+        options: {
+          ...opt,
+          temperature: 0.0 // Strict as requested
+        },
+        functionName: attempt ? `AI.FORMULA [repair ${attempt}]` : "AI.FORMULA",
+        signal
+      });
 
-    const obj = extractJsonObject(res.text);
-    if (!obj || !Array.isArray(obj.values)) return errorCode(ERR.PARSE_ERROR);
+      if (!res.ok) return errorCode(res.code);
+
+      const formula = extractFormula(res.text);
+      if (!formula) return errorCode(ERR.PARSE_ERROR);
 
-    const values = obj.values.map((x) => safeString(x));
-    while (values.length < rowsToFill) values.push("");
-    return values.slice(0, rowsToFill).map((v) => [truncateForCell(v)]);
+      const checked = normalizeFormula(formula, dialect);
+      if (checked.ok) return truncateForCell(checked.formula);
+      if (attempt >= attempts) return ERR.BAD_FORMULA;
+      previous = checked;
+    }
   } catch (e) {
     return errorCode(ERR.API_ERROR);
   }
 }
 
-export async function FORMULA(instruction, contextRange, options) {
+/**
+ * Step-by-step explanation of a formula (=AI.EXPLAIN_FORMULA(FORMULATEXT(B2))), in `lang`. The formula is
+ * parsed locally first so that the prompt lists the functions, ranges and names it really uses.
+ * { "simplify": true } spills [explanation, equivalent formula] with the formula checked in the workbook dialect.
+ */
+export async function EXPLAIN_FORMULA(formula, options, invocation) {
+  const signal = signalFor(invocation);
   try {
     const opt = parseOptions(options);
     const lang = opt.lang || "fr";
+    const text = safeString(formula).trim();
+    if (!text) return ERR.BAD_INPUT;
+    const source = text.startsWith("=") ? text : `=${text}`;
+
+    const parsed = describeFormula(source, detectFormulaDialect(source));
+    if (!parsed.ok) return ERR.BAD_INPUT;
 
-    const ctx = contextRange ? matrixToTSV(contextRange, opt.maxContextChars) : "";
     const user = [
-      ctx ? `CONTEXT (TSV):\n${ctx}` : "",
-      `INSTRUCTION:\n${coerceToTextOrJoin2D(instruction)}`
+      `FORMULA:\n${source}`,
+      parsed.functions.length ? `FUNCTIONS USED: ${parsed.functions.join(", ")}` : "",
+      parsed.references.length ? `REFERENCED RANGES: ${parsed.references.join(", ")}` : "",
+      parsed.names.length ? `NAMES (defined names or LET variables): ${parsed.names.join(", ")}` : "",
+      parsed.depth > 1 ? `NESTING DEPTH: ${parsed.depth}` : ""
     ]
       .filter(Boolean)
       .join("\n\n");
 
-    const res = await callGemini({
-      system: sysFormula(lang),
-      user,
-      options: {
-        ...opt,
-        temperature: 0.0 // Strict as requested
+    if (!opt.simplify) {
+      const res = await callGemini({
+        system: sysExplainFormula(lang),
+        user,
+        options: opt,
+        functionName: "AI.EXPLAIN_FORMULA",
+        signal
+      });
+      if (!res.ok) return errorCode(res.code);
+      return truncateForCell(normalizeNewlines(res.text));
+    }
+
+    const dialect = await formulaDialect(lang);
+    const res = await callJson(
+      {
+        system: sysExplainFormula(lang, dialect),
+        user,
+        options: { ...opt, responseMimeType: "application/json", responseJsonSchema: formulaRewriteSchema() },
+        functionName: "AI.EXPLAIN_FORMULA",
+        signal
       },
-      functionName: "AI.FORMULA"
+      jsonObjectParser((obj) => (typeof obj.explanation === "string" ? "" : "Missing 'explanation' string"))
+    );
+    if (!res.ok) return errorCode(res.code);
+
+    const explanation = truncateForCell(normalizeNewlines(res.value.explanation));
+    const proposed = safeString(res.value.formula).trim();
+    if (!proposed) return [[explanation, ""]];
+    const checked = normalizeFormula(extractFormula(proposed), dialect);
+    return [[explanation, checked.ok ? truncateForCell(checked.formula) : ERR.BAD_FORMULA]];
+  } catch (e) {
+    return errorCode(ERR.API_ERROR);
+  }
+}
+
+function columnNumber(letters) {
+  return letters.toUpperCase().split("").reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0);
+}
+
+function columnLetters(n) {
+  let s = "";
+  for (let x = n; x > 0; x = Math.floor((x - 1) / 26)) s = String.fromCharCode(65 + ((x - 1) % 26)) + s;
+  return s;
+}
+
+// Top-left cell of "Feuil1!B2:C9" -> { col: 2, row: 2 }; A1 when the address is unknown.
+function rangeOrigin(address) {
+  const m = String(address || "").replace(/^.*!/, "").match(/^\$?([A-Z]{1,3})\$?(\d+)/i);
+  return m ? { col: columnNumber(m[1]), row: Number(m[2]) } : { col: 1, row: 1 };
+}
+
+function exampleValue(v) {
+  return typeof v === "string" ? JSON.stringify(v) : safeString(v);
+}
+
+/**
+ * =AI.FORMULA_FROM_EXAMPLES(inputs, outputs, [options]): a formula, written for the first input row, that
+ * turns each row of `inputs` into the value next to it in `outputs` (rows with an empty output are not
+ * examples). The candidate is computed locally on every example (evaluate.js); when some do not match, the
+ * model is asked again with the counterexamples, up to `repairAttempts` times (2 by default), and the best
+ * formula is kept. Spills [formula, match rate]; the rate is empty when the formula uses something the
+ * local evaluator does not compute (lookups, ranges, volatile functions).
+ */
+export async function FORMULA_FROM_EXAMPLES(inputRange, outputRange, options, invocation) {
+  const signal = signalFor(invocation);
+  try {
+    const opt = parseOptions(options);
+    const lang = opt.lang || "fr";
+    const inputs = normalizeRangeToMatrix(inputRange);
+    const outputs = normalizeRangeToMatrix(outputRange).map((row) => row[0]);
+
+    const examples = [];
+    inputs.forEach((row, r) => {
+      const out = outputs[r];
+      if (out !== undefined && out !== null && out !== "") examples.push({ r, row, out });
     });
+    if (!examples.length) return ERR.BAD_INPUT;
 
-    if (!res.ok) return errorCode(res.code);
+    const origin = rangeOrigin(invocation?.parameterAddresses?.[0]);
+    const width = Math.max(...inputs.map((row) => row.length));
+    const addr = (r, c) => `${columnLetters(origin.col + c)}${origin.row + r}`;
+
+    const user = [
+      `INPUT COLUMNS: ${Array.from({ length: width }, (_, c) => columnLetters(origin.col + c)).join(", ")} (first input row: ${origin.row})`,
+      "EXAMPLES:",
+      ...examples.slice(0, LIMITS.FORMULA_EXAMPLES).map((ex, k) =>
+        `${k + 1}. ${ex.row.map((v, c) => `${addr(ex.r, c)} = ${exampleValue(v)}`).join(" | ")} -> ${exampleValue(ex.out)}`
+      )
+    ].join("\n");
 
-    const formula = extractFormula(res.text);
-    if (!formula) return errorCode(ERR.PARSE_ERROR);
+    // Reference in the formula -> input value of example row r (relative rows move with the example).
+    const resolverFor = (r) => (ref) => {
+      const m = ref.replace(/^.*!/, "").match(/^\$?([A-Z]{1,3})(\$?)(\d+)$/i);
+      if (!m) return undefined;
+      const c = columnNumber(m[1]) - origin.col;
+      const row = Number(m[3]) - origin.row + (m[2] ? 0 : r);
+      if (c < 0 || c >= width || row < 0 || row >= inputs.length) return undefined;
+      const v = inputs[row][c];
+      return v === "" || v === undefined ? null : v;
+    };
+
+    const dialect = await formulaDialect(lang);
+    const attempts = typeof opt.repairAttempts === "number"
+      ? Math.floor(clamp(opt.repairAttempts, 0, 3, DEFAULTS.exampleAttempts))
+      : DEFAULTS.exampleAttempts;
+
+    let best = null;
+    let feedback = "";
+    for (let attempt = 0; attempt <= attempts; attempt++) {
+      const res = await callGemini({
+        system: sysFormulaFromExamples(dialect, lang),
+        user: feedback ? `${user}\n\n${feedback}` : user,
+        options: { ...opt, temperature: 0.0 },
+        functionName: attempt ? `AI.FORMULA_FROM_EXAMPLES [repair ${attempt}]` : "AI.FORMULA_FROM_EXAMPLES",
+        signal
+      });
+      if (!res.ok) {
+        if (best) break;
+        return errorCode(res.code);
+      }
+
+      const formula = extractFormula(res.text);
+      const checked = formula ? normalizeFormula(formula, dialect) : { ok: false, formula: "", error: "No formula in the answer" };
+      if (!checked.ok) {
+        feedback = `PREVIOUS FORMULA:\n${checked.formula}\n\nVALIDATION ERROR:\n${checked.error}\n\nReturn the corrected formula only.`;
+        continue;
+      }
+
+      const compiled = compileFormula(checked.formula, dialect);
+      const wrong = [];
+      let rate = null;
+      if (compiled.ok) {
+        let matched = 0;
+        for (const ex of examples) {
+          const got = compiled.run(resolverFor(ex.r));
+          if (!got.ok) {
+            matched = null;
+            break;
+          }
+          if (sameValue(got.value, ex.out, dialect)) matched++;
+          else wrong.push({ ex, got: got.value });
+        }
+        if (matched !== null) rate = Math.round((matched / examples.length) * 100) / 100;
+      }
+
+      if (!best || (rate ?? -1) > (best.rate ?? -1)) best = { formula: checked.formula, rate };
+      // Nothing more to learn when every example matches or when the formula cannot be checked here.
+      if (rate === null || rate === 1) break;
+
+      feedback = [
+        `PREVIOUS FORMULA:\n${checked.formula}`,
+        `It gives wrong results on ${wrong.length} of ${examples.length} examples:`,
+        ...wrong.slice(0, LIMITS.FORMULA_COUNTEREXAMPLES).map(({ ex, got }) =>
+          `- ${ex.row.map((v, c) => `${addr(ex.r, c)} = ${exampleValue(v)}`).join(" | ")}: expected ${exampleValue(ex.out)}, got ${JSON.stringify(displayValue(got, dialect))}`
+        ),
+        "Return a corrected formula only."
+      ].join("\n");
+    }
 
-    return truncateForCell(formula);
+    if (!best) return ERR.BAD_FORMULA;
+    return [[truncateForCell(best.formula), best.rate === null ? "" : best.rate]];
   } catch (e) {
     return errorCode(ERR.API_ERROR);
   }
@@ -1258,13 +2370,18 @@ function registerCustomFunctions() {
 
   const pairs = [
     ["AI.ASK", ASK],
+    ["AI.ASK_STREAM", ASK_STREAM],
     ["AI.WEB", WEB],
     ["AI.EXTRACT", EXTRACT],
+    ["AI.EXTRACT_FIELDS", EXTRACT_FIELDS],
     ["AI.CLASSIFY", CLASSIFY],
+    ["AI.TAG", TAG],
     ["AI.TRANSLATE", TRANSLATE],
     ["AI.TABLE", TABLE],
     ["AI.FILL", FILL],
     ["AI.FORMULA", FORMULA],
+    ["AI.EXPLAIN_FORMULA", EXPLAIN_FORMULA],
+    ["AI.FORMULA_FROM_EXAMPLES", FORMULA_FROM_EXAMPLES],
     ["AI.COUNT", COUNT],
     ["AI.CONSISTENT", CONSISTENT],
     ["AI.CLEAN", CLEAN],
@@ -1287,6 +2404,7 @@ function registerCustomFunctions() {
 }
 
 const _registered = registerCustomFunctions();
+captureExcelLocale();
 
 if (!_registered && typeof setTimeout === "function") {
   let attempts = 0;
@@ -0,0 +1,138 @@
+// src/shared/batch.js
+//
+// Chunking for the range functions (TRANSLATE, CLASSIFY, CLEAN, CONSISTENT, SUMMARIZE, EXTRACT).
+// A large range is split into chunks by item count and estimated tokens; each chunk is one model call
+// (so one cache entry), and the results are put back in range order. A failed chunk only fails its own cells.
+// Chunks are cut greedily from the top, so editing one cell re-requests its chunk only, unless the edit
+// moves a chunk boundary.
+//
+// coalesce() is the reverse: it groups single-cell calls fired together (one formula per row) into one batch.
+
+import { ERR, LIMITS } from "./constants";
+import { estimateTokens } from "./ratelimit";
+
+/**
+ * Splits `items` (strings) into [{ start, items }], each at most `maxItems` long and, unless a single
+ * item is larger on its own, at most `maxTokens` estimated input tokens.
+ */
+export function chunkItems(items, { maxItems = LIMITS.BATCH_MAX_ITEMS, maxTokens = LIMITS.BATCH_MAX_TOKENS } = {}) {
+  const chunks = [];
+  let current = null;
+  let tokens = 0;
+
+  items.forEach((item, i) => {
+    const t = estimateTokens({ user: item }) + 2; // "12. " prefix + newline
+    if (!current || current.items.length >= maxItems || (current.items.length && tokens + t > maxTokens)) {
+      current = { start: i, items: [] };
+      chunks.push(current);
+      tokens = 0;
+    }
+    current.items.push(item);
+    tokens += t;
+  });
+  return chunks;
+}
+
+/**
+ * Runs runChunk(items, { start, index, previous }) for every chunk and returns one result per item:
+ * { ok: true, value } or { ok: false, code }.
+ * runChunk resolves { ok: true, items, missingCode } (same length as its chunk; an undefined entry fails
+ * that item alone with `missingCode`, #AI_PARSE_ERROR by default) or { ok: false, code } for the whole chunk.
+ * Chunks run concurrently (the provider semaphore bounds the actual HTTP calls) unless `sequential`
+ * is set, in which case `previous` holds the values returned by the chunks before it.
+ */
+export async function runBatch(items, runChunk, { maxItems, maxTokens, sequential = false } = {}) {
+  const chunks = chunkItems(items, { maxItems, maxTokens });
+  const settle = (chunk, res) => {
+    if (res?.ok && Array.isArray(res.items) && res.items.length === chunk.items.length) {
+      const missing = res.missingCode || ERR.PARSE_ERROR;
+      return Array.from(res.items, (value) => (value === undefined ? { ok: false, code: missing } : { ok: true, value }));
+    }
+    const code = res?.ok ? ERR.PARSE_ERROR : res?.code;
+    return chunk.items.map(() => ({ ok: false, code }));
+  };
+
+  let results;
+  if (sequential) {
+    results = [];
+    const previous = [];
+    for (let index = 0; index < chunks.length; index++) {
+      const chunk = chunks[index];
+      const res = await runChunk(chunk.items, { start: chunk.start, index, previous: previous.slice() });
+      if (res?.ok && Array.isArray(res.items)) previous.push(...Array.from(res.items).filter((v) => v !== undefined));
+      results.push(settle(chunk, res));
+    }
+  } else {
+    results = await Promise.all(
+      chunks.map(async (chunk, index) => settle(chunk, await runChunk(chunk.items, { start: chunk.start, index, previous: [] })))
+    );
+  }
+  return [].concat(...results);
+}
+
+const groups = new Map();
+
+function flushGroup(key, group) {
+  if (groups.get(key) === group) groups.delete(key);
+  clearTimeout(group.timer);
+  if (!group.entries.size) return;
+
+  const entries = Array.from(group.entries.values());
+  // The batched call is aborted only when every invocation waiting on it has been canceled.
+  const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+  group.live = entries.reduce((n, e) => n + e.waiters.length, 0);
+  group.controller = controller;
+
+  Promise.resolve()
+    .then(() => group.run(entries.map((e) => e.item), controller?.signal))
+    .catch(() => entries.map(() => ({ ok: false, code: ERR.API_ERROR })))
+    .then((results) => {
+      entries.forEach((e, i) => e.waiters.forEach((w) => w.resolve(results[i] || { ok: false, code: ERR.API_ERROR })));
+    });
+}
+
+/**
+ * Micro-batching of single-cell calls: invocations sharing `key` (same function, same options) that
+ * arrive within `windowMs` are answered together by run(items, signal), which must resolve one
+ * { ok, value } / { ok: false, code } per item (e.g. runBatch). Identical items are sent once.
+ * A group is sent as soon as it holds `maxItems` distinct items.
+ * Resolves the result for `item`, or { ok: false, code: ERR.CANCELED } when `signal` aborts first.
+ */
+export function coalesce(key, item, run, { signal, windowMs = LIMITS.COALESCE_WINDOW_MS, maxItems = LIMITS.BATCH_MAX_ITEMS } = {}) {
+  if (signal?.aborted) return Promise.resolve({ ok: false, code: ERR.CANCELED });
+
+  let group = groups.get(key);
+  if (!group) {
+    group = { entries: new Map(), run, timer: null, live: 0, controller: null };
+    groups.set(key, group);
+    group.timer = setTimeout(() => flushGroup(key, group), windowMs);
+  }
+
+  return new Promise((resolve) => {
+    let entry = group.entries.get(item);
+    if (!entry) {
+      entry = { item, waiters: [] };
+      group.entries.set(item, entry);
+    }
+    const waiter = {
+      resolve: (res) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(res);
+      }
+    };
+    const onAbort = () => {
+      if (groups.get(key) === group) {
+        // Not sent yet: forget this invocation (and its item if nobody else waits for it).
+        entry.waiters = entry.waiters.filter((w) => w !== waiter);
+        if (!entry.waiters.length) group.entries.delete(item);
+      } else if (--group.live <= 0) {
+        group.controller?.abort();
+      }
+      resolve({ ok: false, code: ERR.CANCELED });
+    };
+    entry.waiters.push(waiter);
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    if (group.entries.size >= maxItems) flushGroup(key, group);
+  });
+}
@@ -1,16 +1,30 @@
 export const STORAGE = {
   API_KEY: "AI_GEMINI_API_KEY_V1",
   API_KEY_OPENAI: "AI_OPENAI_API_KEY_V1",
+  API_KEY_ANTHROPIC: "AI_ANTHROPIC_API_KEY_V1",
+  API_KEY_CUSTOM: "AI_CUSTOM_API_KEY_V1",
+  API_KEY_AZURE: "AI_AZURE_OPENAI_API_KEY_V1",
   MAX_TOKENS: "AI_GEMINI_MAX_TOKENS_V1",
   PERSIST_CACHE_INDEX: "AI_PERSIST_CACHE_INDEX_V1",
   PROVIDER: "AI_PROVIDER_V1",
   GEMINI_MODEL: "AI_GEMINI_MODEL_V1",
-  OPENAI_MODEL: "AI_OPENAI_MODEL_V1"
+  OPENAI_MODEL: "AI_OPENAI_MODEL_V1",
+  ANTHROPIC_MODEL: "AI_ANTHROPIC_MODEL_V1",
+  CUSTOM_MODEL: "AI_CUSTOM_MODEL_V1",
+  AZURE_MODEL: "AI_AZURE_OPENAI_MODEL_V1",
+  // JSON map { [providerId]: { baseUrl, headers, noApiKey, apiVersion?, deployment? } }
+  PROVIDER_SETTINGS: "AI_PROVIDER_SETTINGS_V1",
+  FALLBACK_ORDER: "AI_FALLBACK_ORDER_V1",
+  // JSON { names, argSep, decimalSep, culture, displayLanguage } captured from Excel (see locale.js)
+  EXCEL_LOCALE: "AI_EXCEL_LOCALE_V1"
 };
 
 export const PROVIDERS = {
   GEMINI: "gemini",
-  OPENAI: "openai"
+  OPENAI: "openai",
+  ANTHROPIC: "anthropic",
+  CUSTOM: "custom",
+  AZURE: "azure"
 };
 
 export const GEMINI = {
@@ -23,6 +37,25 @@ export const OPENAI = {
   DEFAULT_MODEL: "gpt-5-mini"
 };
 
+export const ANTHROPIC = {
+  BASE_URL: "https://api.anthropic.com/v1",
+  DEFAULT_MODEL: "claude-haiku-4-5",
+  API_VERSION: "2023-06-01"
+};
+
+// Any server exposing the OpenAI Chat Completions API (Ollama, vLLM, LM Studio, LLM gateways...).
+export const CUSTOM_OPENAI = {
+  DEFAULT_BASE_URL: "http://localhost:11434/v1",
+  DEFAULT_MODEL: "llama3.1"
+};
+
+// Azure OpenAI: the resource endpoint (https://<resource>.openai.azure.com) is the profile base URL,
+// the deployment name goes in the URL path.
+export const AZURE_OPENAI = {
+  DEFAULT_API_VERSION: "2024-10-21",
+  DEFAULT_MODEL: "gpt-4o-mini"
+};
+
 // Global output token limit (maxOutputTokens) bounds exposed in the taskpane.
 // NOTE: This controls the model OUTPUT tokens. Input/context is only limited by the model context window.
 export const TOKEN_LIMITS = {
@@ -40,8 +73,37 @@ export const LIMITS = {
   MEM_CACHE_ENTRIES: 200,
   MEM_CACHE_TTL_MS: 60 * 60 * 1000, // 1h
 
-  // Avoid flooding the model API with too many concurrent requests
-  MAX_CONCURRENT_REQUESTS: 3
+  // Avoid flooding the model API with too many concurrent requests (per provider; profiles may override)
+  MAX_CONCURRENT_REQUESTS: 3,
+
+  // Rate limiting (src/shared/ratelimit.js): a 429 re-queues the request without consuming a retry,
+  // up to this many times; server pauses longer than MAX_RATE_PAUSE_MS fail fast with #AI_RATE_LIMIT.
+  MAX_RATE_LIMIT_REQUEUES: 6,
+  MAX_RATE_PAUSE_MS: 2 * 60 * 1000,
+
+  // Range functions (src/shared/batch.js): cells per model call and estimated input tokens per call.
+  // Smaller chunks keep each JSON answer well under the output limit.
+  BATCH_MAX_ITEMS: 40,
+  BATCH_MAX_TOKENS: 2000,
+  // Follow-up calls asking only for the cells missing from a partial batch answer.
+  BATCH_MISSING_RETRIES: 1,
+
+  // Single-cell calls with { "coalesce": true } wait this long for similar calls to share a request.
+  COALESCE_WINDOW_MS: 50,
+
+  // { "autoContinue": true }: follow-up calls asking the model to go on after a truncated answer.
+  MAX_CONTINUATIONS: 3,
+
+  // { "votes": n } on CLASSIFY / EXTRACT / FILL: samples per cell.
+  MAX_VOTES: 9,
+
+  // AI.FORMULA_FROM_EXAMPLES: examples quoted in the prompt (all of them are checked), and wrong ones
+  // sent back with a retry.
+  FORMULA_EXAMPLES: 30,
+  FORMULA_COUNTEREXAMPLES: 5,
+
+  // AI.WEB: source URLs next to the value ({ "sources": n }) or citation rows ({ "citations": true }).
+  WEB_MAX_SOURCES: 10
 };
 
 export const DEFAULTS = {
@@ -54,8 +116,15 @@ export const DEFAULTS = {
   provider: PROVIDERS.GEMINI,
   geminiModel: GEMINI.DEFAULT_MODEL,
   openaiModel: OPENAI.DEFAULT_MODEL,
+  anthropicModel: ANTHROPIC.DEFAULT_MODEL,
   // Used only when no stored setting is present and no per-formula option is provided.
-  maxTokens: 2048
+  maxTokens: 2048,
+  // Repair calls when a JSON answer does not parse (option `repairAttempts`, 0-3).
+  jsonRepairAttempts: 1,
+  // Temperature of the vote samples when the formula does not set one (identical samples would always agree).
+  voteTemperature: 0.7,
+  // AI.FORMULA_FROM_EXAMPLES: new attempts after a formula fails some examples (option `repairAttempts`, 0-3).
+  exampleAttempts: 2
 };
 
 export const ERR = {
@@ -72,5 +141,12 @@ export const ERR = {
   NOT_FOUND: "#AI_NOT_FOUND",
   CACHE_MISS: "#AI_CACHE_MISS",
   TOO_LARGE: "#AI_TOO_LARGE",
-  EMPTY_RESPONSE: "#AI_EMPTY_RESPONSE"
+  EMPTY_RESPONSE: "#AI_EMPTY_RESPONSE",
+  CANCELED: "#AI_CANCELED",
+  // The answer was cut by the output token limit (maxTokens)
+  TRUNCATED: "#AI_TRUNCATED",
+  // AI.FORMULA: the formula fails the local check (parentheses, separators, unknown function)
+  BAD_FORMULA: "#AI_BAD_FORMULA",
+  // AI.WEB: the provider cannot search the web (only Gemini and OpenAI can)
+  NO_SEARCH: "#AI_NO_SEARCH"
 };
@@ -0,0 +1,161 @@
+// src/shared/detectors.js
+//
+// Local detectors for AI.EXTRACT: when the instruction asks for one of these kinds of value, the cells are
+// searched with regular expressions (plus checksums where the format has one) before any model call.
+// Each detector: { id, keywords (tested on the lower-cased instruction without accents), find(text) -> values }
+// and optionally parse(text) -> typed value | null, also applied to the model's answers for that instruction.
+// Dates and amounts come back as Excel values (date serials, numbers); the other values as text.
+
+import { parseDateSerial, parseLocaleNumber } from "./values";
+
+function stripAccents(s) {
+  return String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// All matches of `re` (global) in order, transformed by `map` (null => skipped), without duplicates.
+function collect(text, re, map = (m) => m[0]) {
+  const out = [];
+  const seen = new Set();
+  for (const m of String(text || "").matchAll(re)) {
+    const v = map(m);
+    if (v === null || v === undefined || v === "") continue;
+    const key = typeof v === "string" ? v.toLowerCase() : String(v);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(v);
+  }
+  return out;
+}
+
+const compact = (s) => s.replace(/[\s.-]/g, "").toUpperCase();
+
+// Luhn checksum (SIREN / SIRET).
+function luhnOk(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanOk(iban) {
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const moved = iban.slice(4) + iban.slice(0, 4);
+  let rest = 0;
+  for (const ch of moved) {
+    const v = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+    for (const d of v) rest = (rest * 10 + Number(d)) % 97;
+  }
+  return rest === 1;
+}
+
+// French VAT number: FR + 2-character key + SIREN; a numeric key is checked against the SIREN.
+function frVatOk(vat) {
+  const m = vat.match(/^FR([0-9A-Z]{2})(\d{9})$/);
+  if (!m) return false;
+  if (!/^\d{2}$/.test(m[1])) return true;
+  return Number(m[1]) === (12 + 3 * (Number(m[2]) % 97)) % 97;
+}
+
+const NUM = String.raw`\d{1,3}(?:[\s.,']\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?`;
+const CUR = String.raw`€|\$|£|EUR\b|USD\b|GBP\b|CHF\b|euros?\b|dollars?\b`;
+
+export const DETECTORS = [
+  {
+    id: "phone",
+    keywords: /\b(?:tel|telephone|telephones|phone|phones|portable|mobile|gsm|fax)\b/,
+    // International (+33 6 12 34 56 78, 0033...) or French national (06 12 34 56 78, 06.12.34.56.78).
+    find: (text) => collect(
+      text,
+      /(^|[^\d+])((?:\+|00)[1-9]\d{0,2}(?:[\s.-]?\(0\))?(?:[\s.-]?\d){6,12}|0[1-9](?:[\s.-]?\d{2}){4})(?!\d)/g,
+      (m) => m[2].trim()
+    )
+  },
+  {
+    id: "url",
+    keywords: /\b(?:url|urls|lien|liens|link|links|site|sites|website|web)\b/,
+    find: (text) => collect(text, /\b(?:https?:\/\/|www\.)[^\s<>"'«»]+/gi, (m) => m[0].replace(/[.,;:!?)\]]+$/, ""))
+  },
+  {
+    id: "iban",
+    keywords: /\biban\b/,
+    // Trailing groups are dropped until the checksum holds ("FR76 ... 189 MERCI").
+    find: (text) => collect(text, /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]{4}){2,7}(?:[ ]?[A-Z0-9]{1,3})?\b/g, (m) => {
+      const groups = m[0].split(" ");
+      for (let n = groups.length; n > 0; n--) {
+        const iban = groups.slice(0, n).join("");
+        if (ibanOk(iban)) return iban;
+      }
+      return null;
+    })
+  },
+  {
+    id: "vat",
+    keywords: /\b(?:tva|vat)\b|intracom/,
+    find: (text) => collect(
+      text,
+      /\b(FR\s?[0-9A-HJ-NP-Z]{2}\s?\d{3}\s?\d{3}\s?\d{3}|(?:AT|BE|BG|CY|CZ|DE|DK|EE|EL|ES|FI|HR|HU|IE|IT|LT|LU|LV|MT|NL|PL|PT|RO|SE|SI|SK)\s?U?(?=[0-9A-Z]*\d{6})[0-9A-Z]{8,12})\b/g,
+      (m) => {
+        const vat = compact(m[1]);
+        return vat.startsWith("FR") && !frVatOk(vat) ? null : vat;
+      }
+    )
+  },
+  {
+    id: "siret",
+    keywords: /\bsiret\b/,
+    find: (text) => collect(text, /\b\d{3}\s?\d{3}\s?\d{3}\s?\d{5}\b/g, (m) => {
+      const digits = compact(m[0]);
+      return luhnOk(digits) ? digits : null;
+    })
+  },
+  {
+    id: "siren",
+    keywords: /\bsiren\b/,
+    find: (text) => collect(text, /\b\d{3}\s?\d{3}\s?\d{3}\b/g, (m) => {
+      const digits = compact(m[0]);
+      return luhnOk(digits) ? digits : null;
+    })
+  },
+  {
+    id: "postal",
+    keywords: /code postal|codes postaux|\bpostal\b|\bzip\b|\bpostcode\b|\bcp\b/,
+    // French postal codes (01000-98999).
+    find: (text) => collect(text, /\b(?:0[1-9]|[1-8]\d|9[0-8])\d{3}\b/g)
+  },
+  {
+    id: "date",
+    keywords: /\bdates?\b|\becheance\b|\bdeadline\b/,
+    find: (text) => collect(
+      text,
+      /\b(\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?)?|\d{1,2}[/.]\d{1,2}[/.](?:\d{4}|\d{2})|\d{1,2}-\d{1,2}-\d{4}|\d{1,2}(?:er)?\s+\p{L}{3,}\.?\s+\d{4}|\p{L}{3,}\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4})(?!\d)/gu,
+      (m) => parseDateSerial(m[1])
+    ),
+    parse: (text) => parseDateSerial(text)
+  },
+  {
+    id: "amount",
+    keywords: /\b(?:montant|montants|amount|amounts|prix|price|total|somme|cout|cost|tarif|ttc|ht)\b/,
+    // Only numbers written with a currency, so that dates, quantities and references are left alone.
+    find: (text) => collect(
+      text,
+      new RegExp(`(?:${CUR})\\s?-?(?:${NUM})|-?\\b(?:${NUM})\\s?(?:${CUR})`, "gi"),
+      (m) => parseLocaleNumber(m[0])
+    ),
+    parse: (text) => parseLocaleNumber(text)
+  }
+];
+
+/**
+ * The detector the instruction asks for, or null when none (or several) match: the model then decides.
+ */
+export function detectorForInstruction(instruction) {
+  const s = stripAccents(instruction).toLowerCase();
+  const matches = DETECTORS.filter((d) => d.keywords.test(s));
+  return matches.length === 1 ? matches[0] : null;
+}
@@ -1,14 +1,14 @@
 // src/shared/diagnostics.js
 
-import { PROVIDERS } from "./constants";
+import { DEFAULTS } from "./constants";
+import { getProviderAdapter } from "./providers";
 
-// Tarifs approximatifs par million de tokens (à ajuster si besoin)
-// Valeurs par défaut: Gemini 3.0 Flash (~0.10 / 0.40), OpenAI Mini (~0.15 / 0.60).
-const COSTS = {
-  [PROVIDERS.GEMINI]: { in: 0.10, out: 0.40 },
-  [PROVIDERS.OPENAI]: { in: 0.15, out: 0.60 }
-};
-const DEFAULT_PROVIDER = PROVIDERS.GEMINI;
+// Tarifs approximatifs par million de tokens: déclarés par chaque adaptateur (`costs`) dans src/shared/providers.
+const DEFAULT_PROVIDER = DEFAULTS.provider;
+
+function costsFor(provider) {
+  return getProviderAdapter(provider)?.costs || getProviderAdapter(DEFAULT_PROVIDER)?.costs || { in: 0, out: 0 };
+}
 
 function getGlobalState() {
   if (typeof window === "undefined") return {};
@@ -31,6 +31,12 @@ function initDiagnostics() {
     cacheHits: 0,
     cacheMisses: 0,
     dedupHits: 0,
+    fallbacks: 0,
+    canceled: 0,
+    rateLimitWaits: 0,
+    jsonRepairs: 0,
+    jsonRepaired: 0,
+    truncated: 0,
     
     // Stats Tokens & Coûts
     totalInputTokens: 0,
@@ -77,7 +83,7 @@ export function diagSuccess({ model, latencyMs, cacheKey, cached, provider } = {
 /**
  * Enregistre une requête terminée dans l'historique et met à jour les coûts.
  */
-export function diagTrackRequest({ success, code, message, usage, latencyMs, model, cached, httpStatus, functionName, provider = DEFAULT_PROVIDER }) {
+export function diagTrackRequest({ success, code, message, usage, latencyMs, model, cached, httpStatus, functionName, provider = DEFAULT_PROVIDER, fallbackFrom }) {
   // Mise à jour des compteurs basiques si pas déjà fait par diagSuccess/diagError
   // (Note: diagSuccess/Error incrémentent déjà success/failures, ici on gère logs et coûts)
 
@@ -89,7 +95,7 @@ export function diagTrackRequest({ success, code, message, usage, latencyMs, mod
     state.diagnostics.totalInputTokens = (state.diagnostics.totalInputTokens || 0) + input;
     state.diagnostics.totalOutputTokens = (state.diagnostics.totalOutputTokens || 0) + output;
     
-    const costCfg = COSTS[provider] || COSTS[DEFAULT_PROVIDER];
+    const costCfg = costsFor(provider);
     const cost = (input / 1_000_000 * costCfg.in) + (output / 1_000_000 * costCfg.out);
     state.diagnostics.estimatedCostUSD = (state.diagnostics.estimatedCostUSD || 0) + cost;
   }
@@ -104,6 +110,8 @@ export function diagTrackRequest({ success, code, message, usage, latencyMs, mod
     message: message || "",
     model: model || "?",
     provider: provider || DEFAULT_PROVIDER,
+    // Fournisseur principal quand la réponse vient de la chaîne de repli
+    fallbackFrom: fallbackFrom || "",
     latencyMs: latencyMs || 0,
     inputTokens: input,
     outputTokens: output,
@@ -131,6 +139,12 @@ export function resetDiagnosticsLogs() {
   state.diagnostics.cacheHits = 0;
   state.diagnostics.cacheMisses = 0;
   state.diagnostics.dedupHits = 0;
+  state.diagnostics.fallbacks = 0;
+  state.diagnostics.canceled = 0;
+  state.diagnostics.rateLimitWaits = 0;
+  state.diagnostics.jsonRepairs = 0;
+  state.diagnostics.jsonRepaired = 0;
+  state.diagnostics.truncated = 0;
   state.diagnostics.startedAt = new Date().toISOString();
   state.diagnostics.lastRequestAt = "";
   state.diagnostics.lastSuccessAt = "";
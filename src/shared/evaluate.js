@@ -0,0 +1,589 @@
+// src/shared/evaluate.js
+//
+// A small formula evaluator, used by AI.FORMULA_FROM_EXAMPLES to check a candidate formula against the
+// examples before returning it. It computes one row at a time on single values: the common text, logical,
+// math and date functions, operators, LET. Ranges, lookups, arrays and volatile functions (TODAY, RAND...)
+// are not evaluated: the formula is then reported as unsupported rather than guessed.
+// Excel error values are { error: "#VALUE!" } objects; empty cells are null.
+
+import { FORMULA_DIALECTS, bareName, tokenizeFormula, translateFormula } from "./formula";
+import { MONTHS_EN, MONTHS_FR, dateSerial, parseDateSerial, parseLocaleNumber, serialParts } from "./values";
+
+class Unsupported extends Error {}
+
+const VALUE = { error: "#VALUE!" };
+const DIV0 = { error: "#DIV/0!" };
+const NUM = { error: "#NUM!" };
+const NA = { error: "#N/A" };
+
+const isErr = (v) => !!v && typeof v === "object" && typeof v.error === "string";
+
+// ---------- Parsing ----------
+
+// Tokens of an English-dialect formula -> expression tree:
+// { value } | { ref } | { call, args } | { op, left, right } | { op: "neg" | "%", arg }.
+function parse(tokens) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const next = () => tokens[i++];
+  const isOp = (t, ops) => t?.type === "op" && ops.includes(t.text);
+
+  const binary = (ops, operand) => () => {
+    let left = operand();
+    while (isOp(peek(), ops)) left = { op: next().text, left, right: operand() };
+    return left;
+  };
+
+  function primary() {
+    const t = next();
+    if (!t) throw new Unsupported("incomplete formula");
+    switch (t.type) {
+      case "number":
+        return { value: Number(t.text) };
+      case "string":
+        return { value: t.text.slice(1, -1).replace(/""/g, '"') };
+      case "bool":
+        return { value: /^(TRUE|VRAI)$/i.test(t.text) };
+      case "error":
+        return { value: { error: t.text.toUpperCase() } };
+      case "name":
+        return { ref: t.text };
+      case "func": {
+        next(); // "("
+        const args = [];
+        if (peek()?.type !== "close") {
+          for (;;) {
+            // Omitted argument: IF(A2,,1).
+            args.push(peek()?.type === "sep" || peek()?.type === "close" ? { value: null } : comparison());
+            if (peek()?.type !== "sep") break;
+            next();
+          }
+        }
+        if (next()?.type !== "close") throw new Unsupported("parentheses");
+        return { call: bareName(t.text), args };
+      }
+      case "open": {
+        if (t.array) throw new Unsupported("array constant");
+        const inner = comparison();
+        if (next()?.type !== "close") throw new Unsupported("parentheses");
+        return inner;
+      }
+      default:
+        throw new Unsupported(t.text);
+    }
+  }
+
+  function percent() {
+    let node = primary();
+    while (isOp(peek(), ["%"])) {
+      next();
+      node = { op: "%", arg: node };
+    }
+    return node;
+  }
+
+  // Excel binds the sign tighter than ^: -2^2 = 4.
+  function unary() {
+    if (isOp(peek(), ["-", "+"])) return next().text === "-" ? { op: "neg", arg: unary() } : unary();
+    return percent();
+  }
+
+  const power = binary(["^"], unary);
+  const product = binary(["*", "/"], power);
+  const sum = binary(["+", "-"], product);
+  const concat = binary(["&"], sum);
+  const comparison = binary(["=", "<>", "<", ">", "<=", ">="], concat);
+
+  const tree = comparison();
+  if (i < tokens.length) throw new Unsupported(tokens[i].text);
+  return tree;
+}
+
+// ---------- Coercion ----------
+
+function num(v, ctx) {
+  if (isErr(v) || typeof v === "number") return v;
+  if (typeof v === "boolean") return v ? 1 : 0;
+  if (v === null || v === "") return 0;
+  const s = String(v).trim();
+  const n = parseLocaleNumber(s, { decimal: ctx.decimalSep });
+  if (n !== null) return n;
+  const date = parseDateSerial(s, { dayFirst: ctx.dayFirst });
+  return date !== null ? date : VALUE;
+}
+
+// Number as Excel shows it in the General format (15 significant digits).
+function generalNumber(n, ctx) {
+  const s = String(Number(n.toPrecision(15)));
+  return ctx.decimalSep === "," ? s.replace(".", ",") : s;
+}
+
+function text(v, ctx) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "boolean") return ctx.names === "fr" ? (v ? "VRAI" : "FAUX") : v ? "TRUE" : "FALSE";
+  if (typeof v === "number") return generalNumber(v, ctx);
+  return String(v);
+}
+
+function bool(v) {
+  if (isErr(v) || typeof v === "boolean") return v;
+  if (typeof v === "number") return v !== 0;
+  if (v === null || v === "") return false;
+  const s = String(v).trim().toUpperCase();
+  if (s === "TRUE" || s === "VRAI") return true;
+  if (s === "FALSE" || s === "FAUX") return false;
+  return VALUE;
+}
+
+// Excel order: numbers < text < booleans; text compares without case.
+function compare(a, b) {
+  const rank = (v) => (typeof v === "boolean" ? 2 : typeof v === "string" ? 1 : 0);
+  const x = a === null ? (typeof b === "string" ? "" : typeof b === "boolean" ? false : 0) : a;
+  const y = b === null ? (typeof a === "string" ? "" : typeof a === "boolean" ? false : 0) : b;
+  if (rank(x) !== rank(y)) return rank(x) - rank(y);
+  if (typeof x === "string") {
+    const p = x.toLowerCase();
+    const q = y.toLowerCase();
+    return p < q ? -1 : p > q ? 1 : 0;
+  }
+  return x === y ? 0 : x < y ? -1 : 1;
+}
+
+// Half away from zero, as Excel rounds.
+function round(n, digits, mode = "half") {
+  const f = 10 ** digits;
+  const x = Math.abs(n) * f;
+  const r = mode === "up" ? Math.ceil(x - 1e-9) : mode === "down" ? Math.floor(x + 1e-9) : Math.round(x + 1e-9);
+  return (Math.sign(n) * r) / f;
+}
+
+// ---------- TEXT() formats ----------
+
+const MONTHS_SHORT_FR = ["janv.", "févr.", "mars", "avr.", "mai", "juin", "juil.", "août", "sept.", "oct.", "nov.", "déc."];
+const DAYS_FR = ["dimanche", "lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi"];
+const DAYS_EN = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+function formatDate(serial, fmt, ctx) {
+  const p = serialParts(serial);
+  const fr = /[ja]/i.test(fmt) || ctx.names === "fr";
+  const pad = (n) => String(n).padStart(2, "0");
+  const parts = {
+    yyyy: String(p.y), yy: pad(p.y % 100),
+    mmmm: fr ? MONTHS_FR[p.m - 1] : capitalize(MONTHS_EN[p.m - 1]),
+    mmm: fr ? MONTHS_SHORT_FR[p.m - 1] : capitalize(MONTHS_EN[p.m - 1]).slice(0, 3),
+    mm: pad(p.m), m: String(p.m),
+    dddd: fr ? DAYS_FR[p.weekday] : DAYS_EN[p.weekday],
+    ddd: fr ? `${DAYS_FR[p.weekday].slice(0, 3)}.` : DAYS_EN[p.weekday].slice(0, 3),
+    dd: pad(p.d), d: String(p.d)
+  };
+  const french = { aaaa: "yyyy", aa: "yy", jjjj: "dddd", jjj: "ddd", jj: "dd", j: "d" };
+  return fmt.replace(/"[^"]*"|\\.|yyyy|aaaa|yy|aa|mmmm|mmm|mm|m|dddd|jjjj|ddd|jjj|dd|jj|d|j/gi, (code) => {
+    if (code.startsWith('"')) return code.slice(1, -1);
+    if (code.startsWith("\\")) return code.slice(1);
+    const key = code.toLowerCase();
+    return parts[french[key] || key];
+  });
+}
+
+function formatNumber(n, fmt, ctx) {
+  const dec = ctx.decimalSep;
+  const percent = fmt.endsWith("%");
+  const body = percent ? fmt.slice(0, -1) : fmt;
+  const [intPat, fracPat = ""] = body.split(dec);
+  const value = percent ? n * 100 : n;
+  const maxDecimals = fracPat.length;
+  const minDecimals = (fracPat.match(/0/g) || []).length;
+  let [intDigits, frac = ""] = Math.abs(round(value, maxDecimals)).toFixed(maxDecimals).split(".");
+  while (frac.length > minDecimals && frac.endsWith("0")) frac = frac.slice(0, -1);
+  intDigits = intDigits.padStart((intPat.match(/0/g) || []).length, "0");
+  if (intDigits === "0" && !intPat.includes("0")) intDigits = "";
+  if (/[,\s ]/.test(intPat.replace(dec, ""))) {
+    intDigits = intDigits.replace(/\B(?=(\d{3})+(?!\d))/g, dec === "," ? " " : ",");
+  }
+  const sign = value < 0 && /[1-9]/.test(intDigits + frac) ? "-" : "";
+  return sign + intDigits + (frac ? dec + frac : "") + (percent ? "%" : "");
+}
+
+function formatText(v, fmt, ctx) {
+  const f = text(fmt, ctx);
+  if (/^[#0\s,. ]+%?$/.test(f)) {
+    const n = num(v, ctx);
+    return isErr(n) ? n : formatNumber(n, f, ctx);
+  }
+  if (/^(?:"[^"]*"|\\.|[dmyja]+|[\s/.\-,:])+$/i.test(f) && !/h|s/i.test(f)) {
+    const n = num(v, ctx);
+    if (isErr(n)) return n;
+    return n < 0 ? VALUE : formatDate(n, f, ctx);
+  }
+  throw new Unsupported(`TEXT format ${f}`);
+}
+
+// ---------- Functions ----------
+
+// Functions that receive error values instead of propagating them.
+const TAKES_ERRORS = new Set(["ISERROR", "ISERR", "ISNA", "ISNUMBER", "ISTEXT", "ISBLANK", "ISLOGICAL", "ERROR.TYPE"]);
+
+const numeric = (fn) => (args, ctx) => {
+  const ns = args.map((a) => num(a, ctx));
+  const bad = ns.find(isErr);
+  return bad || fn(...ns);
+};
+
+const textual = (fn) => (args, ctx) => fn(...args.map((a) => text(a, ctx)), args, ctx);
+
+function findIn(needle, hay, start, caseless) {
+  const from = start === undefined ? 1 : start;
+  if (from < 1 || from > hay.length + 1) return VALUE;
+  if (caseless && /[*?~]/.test(needle)) throw new Unsupported("SEARCH wildcards");
+  const at = caseless ? hay.toLowerCase().indexOf(needle.toLowerCase(), from - 1) : hay.indexOf(needle, from - 1);
+  return at < 0 ? VALUE : at + 1;
+}
+
+// TEXTBEFORE / TEXTAFTER with a positive or negative instance number.
+function splitAround(s, delim, instance = 1, after = false) {
+  if (!delim || instance === 0) return VALUE;
+  let at = -1;
+  if (instance > 0) {
+    for (let k = 0, from = 0; k < instance; k++, from = at + delim.length) {
+      at = s.indexOf(delim, from);
+      if (at < 0) return NA;
+    }
+  } else {
+    for (let k = 0, from = s.length; k < -instance; k++, from = at - 1) {
+      at = from < 0 ? -1 : s.lastIndexOf(delim, from);
+      if (at < 0) return NA;
+    }
+  }
+  return after ? s.slice(at + delim.length) : s.slice(0, at);
+}
+
+function addMonths(serial, months, endOfMonth) {
+  const p = serialParts(serial);
+  return endOfMonth ? dateSerial(p.y, p.m + months + 1, 0) : dateSerial(p.y, p.m + months, Math.min(p.d, new Date(Date.UTC(p.y, p.m + months, 0)).getUTCDate()));
+}
+
+const FUNCTIONS = {
+  // Text
+  LEN: textual((s) => s.length),
+  LEFT: (args, ctx) => {
+    const n = args.length > 1 ? num(args[1], ctx) : 1;
+    return isErr(n) ? n : n < 0 ? VALUE : text(args[0], ctx).slice(0, Math.floor(n));
+  },
+  RIGHT: (args, ctx) => {
+    const n = args.length > 1 ? num(args[1], ctx) : 1;
+    if (isErr(n)) return n;
+    const s = text(args[0], ctx);
+    return n < 0 ? VALUE : Math.floor(n) === 0 ? "" : s.slice(-Math.floor(n));
+  },
+  MID: (args, ctx) => {
+    const start = num(args[1], ctx);
+    const n = num(args[2], ctx);
+    if (isErr(start) || isErr(n)) return isErr(start) ? start : n;
+    if (start < 1 || n < 0) return VALUE;
+    return text(args[0], ctx).substr(Math.floor(start) - 1, Math.floor(n));
+  },
+  UPPER: textual((s) => s.toUpperCase()),
+  LOWER: textual((s) => s.toLowerCase()),
+  PROPER: textual((s) => s.toLowerCase().replace(/(^|[^\p{L}])(\p{L})/gu, (m, before, letter) => before + letter.toUpperCase())),
+  TRIM: textual((s) => s.replace(/ +/g, " ").trim()),
+  CLEAN: textual((s) => s.replace(/[\x00-\x1f]/g, "")),
+  CONCATENATE: (args, ctx) => args.map((a) => text(a, ctx)).join(""),
+  CONCAT: (args, ctx) => args.map((a) => text(a, ctx)).join(""),
+  TEXTJOIN: (args, ctx) => {
+    const skip = bool(args[1]);
+    if (isErr(skip)) return skip;
+    const parts = args.slice(2).map((a) => text(a, ctx));
+    return (skip ? parts.filter((p) => p !== "") : parts).join(text(args[0], ctx));
+  },
+  SUBSTITUTE: (args, ctx) => {
+    const [s, from, to] = args.slice(0, 3).map((a) => text(a, ctx));
+    if (!from) return s;
+    if (args.length < 4) return s.split(from).join(to);
+    const nth = num(args[3], ctx);
+    if (isErr(nth)) return nth;
+    if (nth < 1) return VALUE;
+    let at = -1;
+    for (let k = 0; k < Math.floor(nth); k++) {
+      at = s.indexOf(from, at + 1);
+      if (at < 0) return s;
+    }
+    return s.slice(0, at) + to + s.slice(at + from.length);
+  },
+  REPLACE: (args, ctx) => {
+    const start = num(args[1], ctx);
+    const n = num(args[2], ctx);
+    if (isErr(start) || isErr(n)) return isErr(start) ? start : n;
+    if (start < 1 || n < 0) return VALUE;
+    const s = text(args[0], ctx);
+    return s.slice(0, start - 1) + text(args[3], ctx) + s.slice(start - 1 + n);
+  },
+  FIND: (args, ctx) => findIn(text(args[0], ctx), text(args[1], ctx), args.length > 2 ? num(args[2], ctx) : undefined, false),
+  SEARCH: (args, ctx) => findIn(text(args[0], ctx), text(args[1], ctx), args.length > 2 ? num(args[2], ctx) : undefined, true),
+  REPT: (args, ctx) => {
+    const n = num(args[1], ctx);
+    return isErr(n) ? n : n < 0 ? VALUE : text(args[0], ctx).repeat(Math.floor(n));
+  },
+  EXACT: textual((a, b) => a === b),
+  VALUE: (args, ctx) => num(text(args[0], ctx), ctx),
+  TEXT: (args, ctx) => formatText(args[0], args[1], ctx),
+  TEXTBEFORE: (args, ctx) => {
+    const n = args.length > 2 ? num(args[2], ctx) : 1;
+    return isErr(n) ? n : splitAround(text(args[0], ctx), text(args[1], ctx), n, false);
+  },
+  TEXTAFTER: (args, ctx) => {
+    const n = args.length > 2 ? num(args[2], ctx) : 1;
+    return isErr(n) ? n : splitAround(text(args[0], ctx), text(args[1], ctx), n, true);
+  },
+  CHAR: numeric((n) => (n >= 1 && n <= 255 ? String.fromCharCode(n) : VALUE)),
+  CODE: textual((s) => (s ? s.charCodeAt(0) : VALUE)),
+
+  // Logical and information
+  AND: (args) => {
+    const bs = args.map(bool);
+    return bs.find(isErr) || bs.every(Boolean);
+  },
+  OR: (args) => {
+    const bs = args.map(bool);
+    return bs.find(isErr) || bs.some(Boolean);
+  },
+  XOR: (args) => {
+    const bs = args.map(bool);
+    return bs.find(isErr) || bs.filter(Boolean).length % 2 === 1;
+  },
+  NOT: (args) => {
+    const b = bool(args[0]);
+    return isErr(b) ? b : !b;
+  },
+  TRUE: () => true,
+  FALSE: () => false,
+  ISNUMBER: (args) => typeof args[0] === "number",
+  ISTEXT: (args) => typeof args[0] === "string",
+  ISBLANK: (args) => args[0] === null,
+  ISLOGICAL: (args) => typeof args[0] === "boolean",
+  ISERROR: (args) => isErr(args[0]),
+  ISERR: (args) => isErr(args[0]) && args[0].error !== "#N/A",
+  ISNA: (args) => isErr(args[0]) && args[0].error === "#N/A",
+  NA: () => NA,
+
+  // Math
+  ABS: numeric(Math.abs),
+  INT: numeric(Math.floor),
+  TRUNC: numeric((n, d = 0) => round(n, Math.trunc(d), "down")),
+  ROUND: numeric((n, d) => round(n, Math.trunc(d))),
+  ROUNDUP: numeric((n, d) => round(n, Math.trunc(d), "up")),
+  ROUNDDOWN: numeric((n, d) => round(n, Math.trunc(d), "down")),
+  MOD: numeric((n, d) => (d === 0 ? DIV0 : n - d * Math.floor(n / d))),
+  POWER: numeric((n, p) => Math.pow(n, p)),
+  SQRT: numeric((n) => (n < 0 ? NUM : Math.sqrt(n))),
+  SIGN: numeric(Math.sign),
+  PI: () => Math.PI,
+  SUM: numeric((...ns) => ns.reduce((a, b) => a + b, 0)),
+  PRODUCT: numeric((...ns) => ns.reduce((a, b) => a * b, 1)),
+  MIN: numeric((...ns) => (ns.length ? Math.min(...ns) : 0)),
+  MAX: numeric((...ns) => (ns.length ? Math.max(...ns) : 0)),
+  AVERAGE: numeric((...ns) => (ns.length ? ns.reduce((a, b) => a + b, 0) / ns.length : DIV0)),
+
+  // Dates (serial numbers)
+  DATE: numeric((y, m, d) => {
+    const serial = dateSerial(Math.floor(y), Math.floor(m), Math.floor(d));
+    return serial < 0 ? NUM : serial;
+  }),
+  YEAR: numeric((s) => (s < 0 ? NUM : serialParts(s).y)),
+  MONTH: numeric((s) => (s < 0 ? NUM : serialParts(s).m)),
+  DAY: numeric((s) => (s < 0 ? NUM : serialParts(s).d)),
+  HOUR: numeric((s) => Math.floor(serialParts(s).seconds / 3600) % 24),
+  MINUTE: numeric((s) => Math.floor(serialParts(s).seconds / 60) % 60),
+  WEEKDAY: numeric((s, type = 1) => {
+    const w = serialParts(s).weekday;
+    if (type === 1) return w + 1;
+    if (type === 2) return ((w + 6) % 7) + 1;
+    if (type === 3) return (w + 6) % 7;
+    return NUM;
+  }),
+  EDATE: numeric((s, m) => addMonths(Math.floor(s), Math.trunc(m), false)),
+  EOMONTH: numeric((s, m) => addMonths(Math.floor(s), Math.trunc(m), true)),
+  DAYS: numeric((end, start) => Math.floor(end) - Math.floor(start)),
+  DATEVALUE: (args, ctx) => {
+    const serial = parseDateSerial(text(args[0], ctx), { dayFirst: ctx.dayFirst });
+    return serial === null ? VALUE : Math.floor(serial);
+  }
+};
+
+// Functions whose arguments are evaluated on demand.
+const LAZY = {
+  IF: (args, run) => {
+    const c = bool(run(args[0]));
+    if (isErr(c)) return c;
+    if (c) return args.length > 1 ? run(args[1]) : true;
+    return args.length > 2 ? run(args[2]) : false;
+  },
+  IFS: (args, run) => {
+    for (let k = 0; k + 1 < args.length; k += 2) {
+      const c = bool(run(args[k]));
+      if (isErr(c)) return c;
+      if (c) return run(args[k + 1]);
+    }
+    return NA;
+  },
+  IFERROR: (args, run) => {
+    const v = run(args[0]);
+    return isErr(v) ? run(args[1]) : v;
+  },
+  IFNA: (args, run) => {
+    const v = run(args[0]);
+    return isErr(v) && v.error === "#N/A" ? run(args[1]) : v;
+  },
+  SWITCH: (args, run) => {
+    const v = run(args[0]);
+    if (isErr(v)) return v;
+    let k = 1;
+    for (; k + 1 < args.length; k += 2) {
+      if (compare(v, run(args[k])) === 0) return run(args[k + 1]);
+    }
+    return k < args.length ? run(args[k]) : NA;
+  },
+  CHOOSE: (args, run) => {
+    const n = run(args[0]);
+    if (isErr(n)) return n;
+    const k = Math.floor(Number(n));
+    return k >= 1 && k < args.length ? run(args[k]) : VALUE;
+  }
+};
+
+// ---------- Evaluation ----------
+
+function evaluate(node, ctx, env) {
+  const run = (n) => evaluate(n, ctx, env);
+
+  if ("value" in node) return node.value;
+
+  if (node.ref !== undefined) {
+    const key = node.ref.toUpperCase();
+    if (env.has(key)) return env.get(key);
+    const v = ctx.resolve(node.ref);
+    if (v === undefined) throw new Unsupported(node.ref);
+    return v;
+  }
+
+  if (node.call) {
+    const name = node.call;
+    if (name === "LET") {
+      const scope = new Map(env);
+      for (let k = 0; k + 1 < node.args.length - 1; k += 2) {
+        const id = node.args[k].ref;
+        if (!id) throw new Unsupported("LET");
+        scope.set(id.toUpperCase(), evaluate(node.args[k + 1], ctx, scope));
+      }
+      return evaluate(node.args[node.args.length - 1], ctx, scope);
+    }
+    if (LAZY[name]) return LAZY[name](node.args, run);
+    const fn = FUNCTIONS[name];
+    if (!fn) throw new Unsupported(name);
+    const args = node.args.map(run);
+    if (!TAKES_ERRORS.has(name)) {
+      const bad = args.find(isErr);
+      if (bad) return bad;
+    }
+    return fn(args, ctx);
+  }
+
+  if (node.op === "neg" || node.op === "%") {
+    const n = num(run(node.arg), ctx);
+    if (isErr(n)) return n;
+    return node.op === "neg" ? -n : n / 100;
+  }
+
+  const a = run(node.left);
+  const b = run(node.right);
+  if (isErr(a)) return a;
+  if (isErr(b)) return b;
+  switch (node.op) {
+    case "&":
+      return text(a, ctx) + text(b, ctx);
+    case "=": return compare(a, b) === 0;
+    case "<>": return compare(a, b) !== 0;
+    case "<": return compare(a, b) < 0;
+    case ">": return compare(a, b) > 0;
+    case "<=": return compare(a, b) <= 0;
+    case ">=": return compare(a, b) >= 0;
+    default: {
+      const x = num(a, ctx);
+      const y = num(b, ctx);
+      if (isErr(x)) return x;
+      if (isErr(y)) return y;
+      if (node.op === "+") return x + y;
+      if (node.op === "-") return x - y;
+      if (node.op === "*") return x * y;
+      if (node.op === "/") return y === 0 ? DIV0 : x / y;
+      const p = Math.pow(x, y);
+      return Number.isFinite(p) ? p : NUM;
+    }
+  }
+}
+
+/**
+ * Prepares `formula` (written in `dialect`) for evaluation. Resolves { ok: true, run(resolve) } where
+ * resolve(refText) returns the value of a cell reference (undefined when it cannot be evaluated) and
+ * run() returns { ok: true, value } or { ok: false, unsupported }; or { ok: false, unsupported } when
+ * the formula itself is outside what this evaluator knows.
+ */
+export function compileFormula(formula, dialect = FORMULA_DIALECTS.en) {
+  const d = { ...FORMULA_DIALECTS.en, ...dialect };
+  const english = d.names === "en" && d.argSep === "," && d.decimalSep === "." ? String(formula) : translateFormula(formula, d, "en");
+  const t = tokenizeFormula(english, "en");
+  if (!t.ok) return { ok: false, unsupported: t.error };
+
+  let tree;
+  try {
+    tree = parse(t.tokens.filter((tok) => tok.type !== "space"));
+  } catch (e) {
+    if (e instanceof Unsupported) return { ok: false, unsupported: e.message };
+    throw e;
+  }
+
+  const ctx = { names: d.names, decimalSep: d.decimalSep, dayFirst: d.decimalSep === "," };
+  return {
+    ok: true,
+    run(resolve) {
+      try {
+        const value = evaluate(tree, { ...ctx, resolve }, new Map());
+        return { ok: true, value: value === null ? 0 : value };
+      } catch (e) {
+        if (e instanceof Unsupported) return { ok: false, unsupported: e.message };
+        throw e;
+      }
+    }
+  };
+}
+
+/**
+ * Whether a computed value shows as the expected cell value: numbers within rounding noise, a number and
+ * its text alike, booleans against VRAI / TRUE, text exactly.
+ */
+export function sameValue(value, expected, dialect = FORMULA_DIALECTS.en) {
+  const ctx = { names: dialect.names, decimalSep: dialect.decimalSep };
+  if (isErr(value)) return typeof expected === "string" && expected.trim().toUpperCase() === value.error;
+  if (typeof value === "number" && typeof expected === "number") {
+    return Math.abs(value - expected) <= 1e-9 * Math.max(1, Math.abs(expected));
+  }
+  if (typeof value === "boolean" || typeof expected === "boolean") {
+    const asBool = (v) => (typeof v === "boolean" ? v : /^(TRUE|VRAI)$/i.test(String(v).trim()) ? true : /^(FALSE|FAUX)$/i.test(String(v).trim()) ? false : null);
+    return asBool(value) !== null && asBool(value) === asBool(expected);
+  }
+  if (typeof value === "number" || typeof expected === "number") {
+    const n = typeof value === "number" ? value : expected;
+    const s = String(typeof value === "number" ? expected : value).trim();
+    const parsed = parseLocaleNumber(s, { decimal: ctx.decimalSep });
+    return parsed !== null && Math.abs(parsed - n) <= 1e-9 * Math.max(1, Math.abs(n));
+  }
+  return text(value, ctx) === text(expected, ctx);
+}
+
+/**
+ * A computed value as text for prompts (counterexamples).
+ */
+export function displayValue(value, dialect = FORMULA_DIALECTS.en) {
+  if (isErr(value)) return value.error;
+  return text(value, { names: dialect.names, decimalSep: dialect.decimalSep });
+}
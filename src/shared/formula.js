@@ -0,0 +1,418 @@
+// src/shared/formula.js
+//
+// Local checks for the formulas written by AI.FORMULA: a tokenizer, a validator (balanced parentheses,
+// argument separators, function names checked against the catalog below) and the translation between the
+// English and French dialects (function names, TRUE/VRAI, error values, argument and decimal separators).
+//
+// A dialect is { names: "en" | "fr", argSep: "," | ";", decimalSep: "." | "," }.
+// Array constants ({1,2;3,4}) and structured references (Table1[[#Headers],[Col]]) are kept as written:
+// their separators depend on more locale settings than these.
+
+export const FORMULA_DIALECTS = {
+  en: { names: "en", argSep: ",", decimalSep: "." },
+  fr: { names: "fr", argSep: ";", decimalSep: "," }
+};
+
+// [English, French] function names.
+const CATALOG = [
+  // Math & trigonometry
+  ["ABS", "ABS"], ["ACOS", "ACOS"], ["ACOSH", "ACOSH"], ["AGGREGATE", "AGREGAT"], ["ARABIC", "CHIFFRE.ARABE"],
+  ["ASIN", "ASIN"], ["ASINH", "ASINH"], ["ATAN", "ATAN"], ["ATAN2", "ATAN2"], ["ATANH", "ATANH"], ["BASE", "BASE"],
+  ["CEILING", "PLAFOND"], ["CEILING.MATH", "PLAFOND.MATH"], ["COMBIN", "COMBIN"], ["COS", "COS"], ["COSH", "COSH"],
+  ["DECIMAL", "DECIMAL"], ["DEGREES", "DEGRES"], ["EVEN", "PAIR"], ["EXP", "EXP"], ["FACT", "FACT"],
+  ["FLOOR", "PLANCHER"], ["FLOOR.MATH", "PLANCHER.MATH"], ["GCD", "PGCD"], ["INT", "ENT"], ["LCM", "PPCM"],
+  ["LN", "LN"], ["LOG", "LOG"], ["LOG10", "LOG10"], ["MDETERM", "DETERMAT"], ["MINVERSE", "INVERSEMAT"],
+  ["MMULT", "PRODUITMAT"], ["MOD", "MOD"], ["MROUND", "ARRONDI.AU.MULTIPLE"], ["ODD", "IMPAIR"],
+  ["PERMUT", "PERMUTATION"], ["PI", "PI"], ["POWER", "PUISSANCE"], ["PRODUCT", "PRODUIT"], ["QUOTIENT", "QUOTIENT"],
+  ["RADIANS", "RADIANS"], ["RAND", "ALEA"], ["RANDARRAY", "TABLEAU.ALEA"], ["RANDBETWEEN", "ALEA.ENTRE.BORNES"],
+  ["ROMAN", "ROMAIN"], ["ROUND", "ARRONDI"], ["ROUNDDOWN", "ARRONDI.INF"], ["ROUNDUP", "ARRONDI.SUP"],
+  ["SEQUENCE", "SEQUENCE"], ["SIGN", "SIGNE"], ["SIN", "SIN"], ["SINH", "SINH"], ["SQRT", "RACINE"],
+  ["SQRTPI", "RACINE.PI"], ["SUBTOTAL", "SOUS.TOTAL"], ["SUM", "SOMME"], ["SUMIF", "SOMME.SI"],
+  ["SUMIFS", "SOMME.SI.ENS"], ["SUMPRODUCT", "SOMMEPROD"], ["SUMSQ", "SOMME.CARRES"], ["TAN", "TAN"],
+  ["TANH", "TANH"], ["TRUNC", "TRONQUE"],
+  // Statistics
+  ["AVEDEV", "ECART.MOYEN"], ["AVERAGE", "MOYENNE"], ["AVERAGEIF", "MOYENNE.SI"], ["AVERAGEIFS", "MOYENNE.SI.ENS"],
+  ["CORREL", "COEFFICIENT.CORRELATION"], ["COUNT", "NB"], ["COUNTA", "NBVAL"], ["COUNTBLANK", "NB.VIDE"],
+  ["COUNTIF", "NB.SI"], ["COUNTIFS", "NB.SI.ENS"], ["COVARIANCE.P", "COVARIANCE.PEARSON"],
+  ["COVARIANCE.S", "COVARIANCE.STANDARD"], ["DEVSQ", "SOMME.CARRES.ECARTS"], ["FORECAST", "PREVISION"],
+  ["FORECAST.LINEAR", "PREVISION.LINEAIRE"], ["FREQUENCY", "FREQUENCE"], ["GEOMEAN", "MOYENNE.GEOMETRIQUE"],
+  ["GROWTH", "CROISSANCE"], ["HARMEAN", "MOYENNE.HARMONIQUE"], ["INTERCEPT", "ORDONNEE.ORIGINE"],
+  ["LARGE", "GRANDE.VALEUR"], ["LINEST", "DROITEREG"], ["MAX", "MAX"], ["MAXA", "MAXA"], ["MAXIFS", "MAX.SI.ENS"],
+  ["MEDIAN", "MEDIANE"], ["MIN", "MIN"], ["MINA", "MINA"], ["MINIFS", "MIN.SI.ENS"], ["MODE", "MODE"],
+  ["MODE.SNGL", "MODE.SIMPLE"], ["NORM.DIST", "LOI.NORMALE.N"], ["NORM.INV", "LOI.NORMALE.INVERSE.N"],
+  ["PERCENTILE", "CENTILE"], ["PERCENTILE.EXC", "CENTILE.EXCLURE"], ["PERCENTILE.INC", "CENTILE.INCLURE"],
+  ["QUARTILE", "QUARTILE"], ["QUARTILE.INC", "QUARTILE.INCLURE"], ["RANK", "RANG"], ["RANK.AVG", "MOYENNE.RANG"],
+  ["RANK.EQ", "EQUATION.RANG"], ["RSQ", "COEFFICIENT.DETERMINATION"], ["SLOPE", "PENTE"], ["SMALL", "PETITE.VALEUR"],
+  ["STANDARDIZE", "CENTREE.REDUITE"], ["STDEV", "ECARTYPE"], ["STDEV.P", "ECARTYPE.PEARSON"],
+  ["STDEV.S", "ECARTYPE.STANDARD"], ["TREND", "TENDANCE"], ["TRIMMEAN", "MOYENNE.REDUITE"], ["VAR", "VAR"],
+  ["VAR.P", "VAR.P.N"], ["VAR.S", "VAR.S"],
+  // Logical
+  ["AND", "ET"], ["BYCOL", "BYCOL"], ["BYROW", "BYROW"], ["FALSE", "FAUX"], ["IF", "SI"], ["IFERROR", "SIERREUR"],
+  ["IFNA", "SI.NON.DISP"], ["IFS", "SI.CONDITIONS"], ["LAMBDA", "LAMBDA"], ["LET", "LET"], ["MAKEARRAY", "MAKEARRAY"],
+  ["MAP", "MAP"], ["NOT", "NON"], ["OR", "OU"], ["REDUCE", "REDUCE"], ["SCAN", "SCAN"], ["SWITCH", "SI.MULTIPLE"],
+  ["TRUE", "VRAI"], ["XOR", "OUX"],
+  // Lookup & reference
+  ["ADDRESS", "ADRESSE"], ["AREAS", "ZONES"], ["CHOOSE", "CHOISIR"], ["CHOOSECOLS", "CHOISIRCOLS"],
+  ["CHOOSEROWS", "CHOISIRLIGNES"], ["COLUMN", "COLONNE"], ["COLUMNS", "COLONNES"], ["DROP", "EXCLURE"],
+  ["EXPAND", "DEVELOPPER"], ["FILTER", "FILTRE"], ["FORMULATEXT", "FORMULETEXTE"],
+  ["GETPIVOTDATA", "LIREDONNEESTABCROISDYNAMIQUE"], ["HLOOKUP", "RECHERCHEH"], ["HSTACK", "ASSEMB.H"],
+  ["HYPERLINK", "LIEN_HYPERTEXTE"], ["INDEX", "INDEX"], ["INDIRECT", "INDIRECT"], ["LOOKUP", "RECHERCHE"],
+  ["MATCH", "EQUIV"], ["OFFSET", "DECALER"], ["ROW", "LIGNE"], ["ROWS", "LIGNES"], ["SORT", "TRIER"],
+  ["SORTBY", "TRIERPAR"], ["TAKE", "PRENDRE"], ["TOCOL", "VERS.COL"], ["TOROW", "VERS.LIGNE"],
+  ["TRANSPOSE", "TRANSPOSE"], ["UNIQUE", "UNIQUE"], ["VLOOKUP", "RECHERCHEV"], ["VSTACK", "ASSEMB.V"],
+  ["WRAPCOLS", "ORGA.COLS"], ["WRAPROWS", "ORGA.LIGNES"], ["XLOOKUP", "RECHERCHEX"], ["XMATCH", "EQUIVX"],
+  // Text
+  ["CHAR", "CAR"], ["CLEAN", "EPURAGE"], ["CODE", "CODE"], ["CONCAT", "CONCAT"], ["CONCATENATE", "CONCATENER"],
+  ["EXACT", "EXACT"], ["FIND", "TROUVE"], ["FIXED", "CTXT"], ["LEFT", "GAUCHE"], ["LEN", "NBCAR"],
+  ["LOWER", "MINUSCULE"], ["MID", "STXT"], ["NUMBERVALUE", "VALEURNOMBRE"], ["PROPER", "NOMPROPRE"],
+  ["REPLACE", "REMPLACER"], ["REPT", "REPT"], ["RIGHT", "DROITE"], ["SEARCH", "CHERCHE"], ["SUBSTITUTE", "SUBSTITUE"],
+  ["T", "T"], ["TEXT", "TEXTE"], ["TEXTAFTER", "TEXTE.APRES"], ["TEXTBEFORE", "TEXTE.AVANT"],
+  ["TEXTJOIN", "JOINDRE.TEXTE"], ["TEXTSPLIT", "FRACTIONNER.TEXTE"], ["TRIM", "SUPPRESPACE"], ["UNICHAR", "UNICAR"],
+  ["UNICODE", "UNICODE"], ["UPPER", "MAJUSCULE"], ["VALUE", "CNUM"],
+  // Date & time
+  ["DATE", "DATE"], ["DATEDIF", "DATEDIF"], ["DATEVALUE", "DATEVAL"], ["DAY", "JOUR"], ["DAYS", "JOURS"],
+  ["DAYS360", "JOURS360"], ["EDATE", "MOIS.DECALER"], ["EOMONTH", "FIN.MOIS"], ["HOUR", "HEURE"],
+  ["ISOWEEKNUM", "NO.SEMAINE.ISO"], ["MINUTE", "MINUTE"], ["MONTH", "MOIS"], ["NETWORKDAYS", "NB.JOURS.OUVRES"],
+  ["NETWORKDAYS.INTL", "NB.JOURS.OUVRES.INTL"], ["NOW", "MAINTENANT"], ["SECOND", "SECONDE"], ["TIME", "TEMPS"],
+  ["TIMEVALUE", "TEMPSVAL"], ["TODAY", "AUJOURDHUI"], ["WEEKDAY", "JOURSEM"], ["WEEKNUM", "NO.SEMAINE"],
+  ["WORKDAY", "SERIE.JOUR.OUVRE"], ["WORKDAY.INTL", "SERIE.JOUR.OUVRE.INTL"], ["YEAR", "ANNEE"],
+  ["YEARFRAC", "FRACTION.ANNEE"],
+  // Information
+  ["CELL", "CELLULE"], ["ERROR.TYPE", "TYPE.ERREUR"], ["INFO", "INFORMATIONS"], ["ISBLANK", "ESTVIDE"],
+  ["ISERR", "ESTERR"], ["ISERROR", "ESTERREUR"], ["ISEVEN", "EST.PAIR"], ["ISFORMULA", "ESTFORMULE"],
+  ["ISLOGICAL", "ESTLOGIQUE"], ["ISNA", "ESTNA"], ["ISNONTEXT", "ESTNONTEXTE"], ["ISNUMBER", "ESTNUM"],
+  ["ISODD", "EST.IMPAIR"], ["ISREF", "ESTREF"], ["ISTEXT", "ESTTEXTE"], ["N", "N"], ["NA", "NA"],
+  ["SHEET", "FEUILLE"], ["SHEETS", "FEUILLES"], ["TYPE", "TYPE"],
+  // Financial
+  ["DB", "DB"], ["DDB", "DDB"], ["EFFECT", "TAUX.EFFECTIF"], ["FV", "VC"], ["IPMT", "INTPER"], ["IRR", "TRI"],
+  ["MIRR", "TRIM"], ["NOMINAL", "TAUX.NOMINAL"], ["NPER", "NPM"], ["NPV", "VAN"], ["PMT", "VPM"], ["PPMT", "PRINCPER"],
+  ["PV", "VA"], ["RATE", "TAUX"], ["SLN", "AMORLIN"], ["XIRR", "TRI.PAIEMENTS"], ["XNPV", "VAN.PAIEMENTS"],
+  // Database
+  ["DAVERAGE", "BDMOYENNE"], ["DCOUNT", "BDNB"], ["DGET", "BDLIRE"], ["DMAX", "BDMAX"], ["DMIN", "BDMIN"],
+  ["DSUM", "BDSOMME"]
+];
+
+const NAMES = {
+  en: new Map(CATALOG.map(([en, fr]) => [en, fr])),
+  fr: new Map(CATALOG.map(([en, fr]) => [fr, en]))
+};
+
+// Error values whose text differs between the two languages.
+const ERROR_VALUES = [["#NULL!", "#NUL!"], ["#VALUE!", "#VALEUR!"], ["#NAME?", "#NOM?"], ["#NUM!", "#NOMBRE!"]];
+const BOOLEANS = [["TRUE", "VRAI"], ["FALSE", "FAUX"]];
+
+function otherLang(names) {
+  return names === "fr" ? "en" : "fr";
+}
+
+function resolveDialect(dialect) {
+  if (typeof dialect === "string") return FORMULA_DIALECTS[dialect] || FORMULA_DIALECTS.en;
+  return { ...FORMULA_DIALECTS[dialect?.names === "fr" ? "fr" : "en"], ...(dialect || {}) };
+}
+
+// "_xlfn.XLOOKUP" -> "XLOOKUP"
+export function bareName(name) {
+  return String(name).toUpperCase().replace(/^_XL(?:FN|WS)\./, "");
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// End of a bracketed part ("[...]", nested for structured references) starting at i, or -1.
+function bracketEnd(src, i) {
+  let depth = 0;
+  for (let j = i; j < src.length; j++) {
+    if (src[j] === "[") depth++;
+    else if (src[j] === "]" && --depth === 0) return j + 1;
+  }
+  return -1;
+}
+
+const WORD = /[A-Za-z_\\$\u00C0-\u024F][A-Za-z0-9_.$\u00C0-\u024F]*/y;
+const REF_TAIL = /[A-Za-z0-9_.$:\u00C0-\u024F]*/y;
+const OPERATOR = /<>|<=|>=|[-+*/^&=<>%:@]/y;
+const ERROR_VALUE = /#(?:N\/A|[A-Za-z0-9_/\u00C0-\u024F]+[!?])/y;
+
+function matchAt(re, src, i) {
+  re.lastIndex = i;
+  const m = re.exec(src);
+  return m ? m[0] : "";
+}
+
+/**
+ * Splits a formula (with or without its leading "=") into tokens { type, text }, with type one of
+ * string, number, func (a name followed by "("), name (references, defined names, LET variables), bool,
+ * error, open, close ("(" or "{"/"}" with array: true), sep (argument separator), arraySep, badSep (the
+ * argument separator of another dialect), op, space.
+ * Resolves { ok: true, tokens } or { ok: false, error } (unterminated string, sheet name or bracket).
+ */
+export function tokenizeFormula(formula, dialect) {
+  const d = resolveDialect(dialect);
+  const src = String(formula ?? "").replace(/^\s*=/, "");
+  const number = new RegExp(`\\d*(?:${escapeRegExp(d.decimalSep)}\\d+)?(?:[eE][+-]?\\d+)?`, "y");
+  const tokens = [];
+  let arrayDepth = 0;
+  let i = 0;
+
+  while (i < src.length) {
+    const c = src[i];
+    const prev = tokens[tokens.length - 1];
+
+    if (/\s/.test(c)) {
+      let j = i;
+      while (j < src.length && /\s/.test(src[j])) j++;
+      tokens.push({ type: "space", text: src.slice(i, j) });
+      i = j;
+    } else if (c === '"') {
+      let j = i + 1;
+      while (j < src.length && !(src[j] === '"' && src[j + 1] !== '"')) j += src[j] === '"' ? 2 : 1;
+      if (j >= src.length) return { ok: false, error: "Unterminated text string (missing closing quote)" };
+      tokens.push({ type: "string", text: src.slice(i, j + 1) });
+      i = j + 1;
+    } else if (c === "'") {
+      let j = i + 1;
+      while (j < src.length && !(src[j] === "'" && src[j + 1] !== "'")) j += src[j] === "'" ? 2 : 1;
+      if (j >= src.length || src[j + 1] !== "!") return { ok: false, error: "Unterminated quoted sheet name" };
+      const tail = matchAt(REF_TAIL, src, j + 2);
+      tokens.push({ type: "name", text: src.slice(i, j + 2) + tail });
+      i = j + 2 + tail.length;
+    } else if (c === "[") {
+      const end = bracketEnd(src, i);
+      if (end < 0) return { ok: false, error: "Unbalanced brackets in a structured reference" };
+      tokens.push({ type: "name", text: src.slice(i, end) });
+      i = end;
+    } else if (c === "{" || c === "}") {
+      arrayDepth += c === "{" ? 1 : -1;
+      tokens.push({ type: c === "{" ? "open" : "close", text: c, array: true });
+      i++;
+    } else if (c === "(" || c === ")") {
+      tokens.push({ type: c === "(" ? "open" : "close", text: c });
+      i++;
+    } else if (c === "#") {
+      // "A1#" is a spilled range reference.
+      if (prev?.type === "name") {
+        prev.text += "#";
+        i++;
+        continue;
+      }
+      const err = matchAt(ERROR_VALUE, src, i);
+      if (!err) return { ok: false, error: `Unexpected '#' at position ${i + 1}` };
+      tokens.push({ type: "error", text: err });
+      i += err.length;
+    } else if (/\d/.test(c) || (c === d.decimalSep && /\d/.test(src[i + 1] || ""))) {
+      const rows = src.slice(i).match(/^\$?\d+:\$?\d+/);
+      const text = rows ? rows[0] : matchAt(number, src, i);
+      tokens.push({ type: rows ? "name" : "number", text });
+      i += text.length;
+    } else if (matchAt(WORD, src, i)) {
+      let text = matchAt(WORD, src, i);
+      let j = i + text.length;
+      if (src[j] === "!") {
+        const tail = matchAt(REF_TAIL, src, j + 1);
+        text += "!" + tail;
+        j += 1 + tail.length;
+      } else if (src[j] === "[") {
+        const end = bracketEnd(src, j);
+        if (end < 0) return { ok: false, error: "Unbalanced brackets in a structured reference" };
+        text = src.slice(i, end);
+        j = end;
+      } else if (src[j] === ":") {
+        const tail = matchAt(REF_TAIL, src, j + 1);
+        text += ":" + tail;
+        j += 1 + tail.length;
+      }
+      const upper = text.toUpperCase();
+      if (src[j] === "(" && !/[!:[]/.test(text)) tokens.push({ type: "func", text });
+      else if (BOOLEANS.some((pair) => pair.includes(upper))) tokens.push({ type: "bool", text });
+      else tokens.push({ type: "name", text });
+      i = j;
+    } else if (arrayDepth > 0 && /[,;.\\]/.test(c)) {
+      tokens.push({ type: "arraySep", text: c });
+      i++;
+    } else if (c === d.argSep) {
+      tokens.push({ type: "sep", text: c });
+      i++;
+    } else if (c === "," || c === ";") {
+      tokens.push({ type: "badSep", text: c });
+      i++;
+    } else if (matchAt(OPERATOR, src, i)) {
+      const op = matchAt(OPERATOR, src, i);
+      tokens.push({ type: "op", text: op });
+      i += op.length;
+    } else {
+      return { ok: false, error: `Unexpected character '${c}' at position ${i + 1}` };
+    }
+  }
+  return { ok: true, tokens };
+}
+
+/**
+ * Checks a formula written for `dialect`: leading "=", balanced parentheses and braces, argument separators
+ * (the dialect's, and only inside a function call), known function names (plus names bound by LET / LAMBDA),
+ * no trailing operator. Resolves { ok: true } or { ok: false, error } with an error meant for the model.
+ */
+export function validateFormula(formula, dialect) {
+  const d = resolveDialect(dialect);
+  const f = String(formula ?? "").trim();
+  if (!f.startsWith("=") || !f.slice(1).trim()) return { ok: false, error: "The formula must start with '=' and must not be empty" };
+
+  const t = tokenizeFormula(f, d);
+  if (!t.ok) return t;
+  const tokens = t.tokens.filter((tok) => tok.type !== "space");
+
+  // LET / LAMBDA parameters can be called like functions.
+  const bound = new Set();
+  if (tokens.some((tok) => tok.type === "func" && ["LET", "LAMBDA"].includes(bareName(tok.text)))) {
+    tokens.filter((tok) => tok.type === "name").forEach((tok) => bound.add(tok.text.toUpperCase()));
+  }
+
+  const stack = [];
+  let call = false;
+  for (const tok of tokens) {
+    if (tok.type === "func") {
+      const name = bareName(tok.text);
+      if (!NAMES[d.names].has(name) && !bound.has(name)) {
+        const translated = NAMES[otherLang(d.names)].get(name);
+        return {
+          ok: false,
+          error: translated
+            ? `${name} is not a ${d.names === "fr" ? "French" : "English"} function name: use ${translated}`
+            : `Unknown function ${name}`
+        };
+      }
+      call = true;
+      continue;
+    } else if (tok.type === "open") {
+      stack.push(tok.array ? "{" : call ? "func" : "(");
+    } else if (tok.type === "close") {
+      const top = stack.pop();
+      if (!top) return { ok: false, error: `Unbalanced parentheses: unexpected '${tok.text}'` };
+      if ((tok.text === "}") !== (top === "{")) return { ok: false, error: `Mismatched '${tok.text}'` };
+    } else if (tok.type === "sep") {
+      if (stack[stack.length - 1] !== "func") return { ok: false, error: `Argument separator '${tok.text}' outside a function call` };
+    } else if (tok.type === "badSep") {
+      return { ok: false, error: `Wrong argument separator '${tok.text}': this workbook uses '${d.argSep}'` };
+    }
+    call = false;
+  }
+  if (stack.length) return { ok: false, error: `Unbalanced parentheses: ${stack.length} not closed` };
+
+  const last = tokens[tokens.length - 1];
+  if (last?.type === "op" && last.text !== "%") return { ok: false, error: "The formula ends with an operator" };
+  return { ok: true };
+}
+
+const CELL_REF = /^(?:(?:'(?:[^']|'')+'|[^!'[\]]+)!)?(?:\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?|\$?[A-Z]{1,3}:\$?[A-Z]{1,3}|\$?\d+:\$?\d+)#?$/i;
+
+/**
+ * What a formula is made of, for prompts: { ok: true, functions, references, names, depth } with the
+ * function names as written (without _xlfn.), the cell ranges and structured references, the other names
+ * (defined names, LET / LAMBDA variables) and the deepest nesting of calls. { ok: false, error } when it
+ * does not tokenize.
+ */
+export function describeFormula(formula, dialect) {
+  const t = tokenizeFormula(formula, dialect);
+  if (!t.ok) return t;
+
+  const uniq = (list) => Array.from(new Set(list));
+  const functions = [];
+  const references = [];
+  const names = [];
+  let depth = 0;
+  let max = 0;
+  let call = false;
+  const stack = [];
+  for (const tok of t.tokens) {
+    if (tok.type === "func") {
+      functions.push(bareName(tok.text));
+      call = true;
+      continue;
+    }
+    if (tok.type === "open") {
+      stack.push(call);
+      if (call) max = Math.max(max, ++depth);
+    } else if (tok.type === "close") {
+      if (stack.pop()) depth--;
+    } else if (tok.type === "name") {
+      if (CELL_REF.test(tok.text) || tok.text.includes("[")) references.push(tok.text);
+      else names.push(tok.text);
+    }
+    call = false;
+  }
+  return { ok: true, functions: uniq(functions), references: uniq(references), names: uniq(names), depth: max };
+}
+
+/**
+ * Guesses the dialect a formula was written in: a ';' outside strings and array constants means the
+ * French separators; function names known in only one language decide the names.
+ */
+export function detectFormulaDialect(formula) {
+  const s = String(formula ?? "")
+    .replace(/"(?:[^"]|"")*"/g, '""')
+    .replace(/'(?:[^']|'')*'!/g, "S!")
+    .replace(/\{[^}]*\}/g, "{}");
+  const argSep = s.includes(";") ? ";" : ",";
+
+  let en = 0;
+  let fr = 0;
+  for (const m of s.matchAll(/([A-Za-z_][A-Za-z0-9_.]*)\s*\(/g)) {
+    const name = bareName(m[1]);
+    const inEn = NAMES.en.has(name);
+    const inFr = NAMES.fr.has(name);
+    if (inEn && !inFr) en++;
+    if (inFr && !inEn) fr++;
+  }
+  const names = fr > en ? "fr" : en > fr ? "en" : argSep === ";" ? "fr" : "en";
+  return { names, argSep, decimalSep: argSep === ";" ? "," : "." };
+}
+
+/**
+ * Rewrites a formula from one dialect to another. Returns the formula unchanged when it does not tokenize.
+ */
+export function translateFormula(formula, from, to) {
+  const a = resolveDialect(from);
+  const b = resolveDialect(to);
+  const t = tokenizeFormula(formula, a);
+  if (!t.ok) return String(formula ?? "");
+
+  const pick = (pairs, text) => {
+    const pair = pairs.find((p) => p[a.names === "fr" ? 1 : 0] === text.toUpperCase());
+    return pair ? pair[b.names === "fr" ? 1 : 0] : text;
+  };
+
+  const out = t.tokens.map((tok) => {
+    switch (tok.type) {
+      case "func": {
+        // The _xlfn. prefix of newer functions is dropped along the way.
+        return a.names === b.names ? tok.text : NAMES[a.names].get(bareName(tok.text)) || tok.text;
+      }
+      case "bool":
+        return a.names === b.names ? tok.text : pick(BOOLEANS, tok.text);
+      case "error":
+        return a.names === b.names ? tok.text : pick(ERROR_VALUES, tok.text);
+      case "sep":
+        return b.argSep;
+      case "number":
+        return tok.text.replace(a.decimalSep, b.decimalSep);
+      default:
+        return tok.text;
+    }
+  });
+  return "=" + out.join("");
+}
+
+/**
+ * Brings a formula into `target`: translated from the dialect it was written in when that differs, then
+ * validated. Resolves { ok, formula, error, translated }.
+ */
+export function normalizeFormula(formula, target) {
+  const d = resolveDialect(target);
+  const from = detectFormulaDialect(formula);
+  const same = from.names === d.names && from.argSep === d.argSep && from.decimalSep === d.decimalSep;
+  // Only translate what tokenizes in its own dialect; otherwise report the error against the target.
+  const original = String(formula ?? "").trim();
+  const out = !same && tokenizeFormula(original, from).ok ? translateFormula(original, from, d) : original;
+  const check = validateFormula(out, d);
+  return { ok: check.ok, formula: out, error: check.error, translated: out !== original };
+}
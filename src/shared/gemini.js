@@ -1,10 +1,13 @@
 // src/shared/gemini.js
 
-import { GEMINI, OPENAI, PROVIDERS, DEFAULTS, LIMITS, TOKEN_LIMITS, ERR, STORAGE } from "./constants";
-import { getApiKey, getMaxTokens, getItem, setItem, removeItem, getProvider, getModel } from "./storage";
+import { DEFAULTS, LIMITS, TOKEN_LIMITS, ERR, STORAGE } from "./constants";
+import { getApiKey, getMaxTokens, getItem, setItem, removeItem, getProvider, getModel, getProviderSettings, getFallbackOrder, parseProviderList } from "./storage";
 import { LRUCache } from "./lru";
 import { hashKey } from "./hash";
 import { diagInc, diagSet, diagError, diagSuccess, diagTrackRequest, getSharedState } from "./diagnostics";
+import { getProviderAdapter } from "./providers";
+import { readSseStream } from "./sse";
+import { acquireRate, estimateTokens, noteRateLimit, providerSemaphore } from "./ratelimit";
 
 function stableStringify(value) {
   const seen = new WeakSet();
@@ -27,45 +30,26 @@ function stableStringify(value) {
   return JSON.stringify(stringify(value));
 }
 
-function normalizeProvider(p) {
-  return p === PROVIDERS.OPENAI ? PROVIDERS.OPENAI : PROVIDERS.GEMINI;
-}
-
 function stripModelPrefix(model) {
   if (!model) return "";
   const m = String(model).trim();
   return m.startsWith("models/") ? m.slice("models/".length) : m;
 }
 
-async function resolveModel(provider, requestedModel) {
+async function resolveModel(adapter, requestedModel) {
   const raw = stripModelPrefix(requestedModel);
   if (raw) return raw;
 
-  const stored = await getModel(provider);
+  const stored = await getModel(adapter.id);
   if (stored) return stripModelPrefix(stored);
 
-  return provider === PROVIDERS.OPENAI ? OPENAI.DEFAULT_MODEL : stripModelPrefix(GEMINI.DEFAULT_MODEL);
-}
-
-class Semaphore {
-  constructor(max) { this.max = max; this.current = 0; this.queue = []; }
-  acquire() {
-    if (this.current < this.max) { this.current++; return Promise.resolve(() => this._release()); }
-    return new Promise((resolve) => { this.queue.push(resolve); })
-      .then(() => { this.current++; return () => this._release(); });
-  }
-  _release() {
-    this.current = Math.max(0, this.current - 1);
-    const next = this.queue.shift();
-    if (next) next();
-  }
+  return stripModelPrefix(adapter.defaultModel);
 }
 
 function getGlobalState() {
   const st = getSharedState() || {};
   st.memCache = st.memCache || new LRUCache(LIMITS.MEM_CACHE_ENTRIES, LIMITS.MEM_CACHE_TTL_MS);
   st.inflight = st.inflight || new Map();
-  st.semaphore = st.semaphore || new Semaphore(LIMITS.MAX_CONCURRENT_REQUESTS);
   st.persistIndexLoaded = st.persistIndexLoaded || false;
   st.persistIndex = st.persistIndex || [];
   return st;
@@ -80,8 +64,40 @@ function sanitizeCacheMode(mode) {
   return (mode === "none" || mode === "memory" || mode === "persistent") ? mode : DEFAULTS.cache;
 }
 
+// finishReason when the answer hit maxOutputTokens: Gemini MAX_TOKENS, OpenAI "length", Anthropic "max_tokens".
+const TRUNCATED_FINISH = new Set(["MAX_TOKENS", "LENGTH", "MAX_OUTPUT_TOKENS"]);
+
+function isTruncatedFinish(finishReason) {
+  return TRUNCATED_FINISH.has(String(finishReason || "").toUpperCase());
+}
+
+// Cache values are the answer text, or { text, truncated?, grounding? } for an answer cut by the output
+// limit or grounded on web sources (kept so that AI.WEB can still cite them from the cache).
+function cacheEntry(value) {
+  if (typeof value === "string") return { text: value, truncated: false };
+  if (value && typeof value.text === "string") {
+    return { text: value.text, truncated: !!value.truncated, ...(value.grounding ? { groundingMetadata: value.grounding } : {}) };
+  }
+  return null;
+}
+
+function cacheValue(text, truncated, grounding) {
+  if (!truncated && !grounding) return text;
+  return { text, ...(truncated ? { truncated: true } : {}), ...(grounding ? { grounding } : {}) };
+}
+
+// The parts of the grounding metadata the citations need, or null when the answer cites nothing.
+function compactGrounding(meta) {
+  if (!Array.isArray(meta?.groundingChunks) || !meta.groundingChunks.length) return null;
+  return {
+    groundingChunks: meta.groundingChunks,
+    groundingSupports: Array.isArray(meta.groundingSupports) ? meta.groundingSupports : []
+  };
+}
+
 function isRetriableHttpStatus(status) {
-  return status === 429 || status === 500 || status === 502 || status === 503 || status === 504;
+  // 529 = Anthropic "overloaded".
+  return status === 429 || status === 500 || status === 502 || status === 503 || status === 504 || status === 529;
 }
 
 function looksTooLarge(message) {
@@ -107,16 +123,27 @@ function classifyHttpError(status, message) {
   return ERR.API_ERROR;
 }
 
-async function fetchWithTimeout(url, fetchOptions, timeoutMs) {
+// Forwards an abort of `signal` (Excel cancellation) to `controller`. Returns the unlink function.
+function linkAbort(signal, controller) {
+  if (!signal || !controller) return () => {};
+  const onAbort = () => controller.abort();
+  if (signal.aborted) onAbort();
+  else signal.addEventListener("abort", onAbort, { once: true });
+  return () => signal.removeEventListener("abort", onAbort);
+}
+
+async function fetchWithTimeout(url, fetchOptions, timeoutMs, signal) {
   const t = Number.isFinite(timeoutMs) ? timeoutMs : DEFAULTS.timeoutMs;
 
   if (typeof AbortController !== "undefined") {
     const controller = new AbortController();
     const id = setTimeout(() => controller.abort(), t);
+    const unlink = linkAbort(signal, controller);
     try {
       return await fetch(url, { ...fetchOptions, signal: controller.signal });
     } finally {
       clearTimeout(id);
+      unlink();
     }
   }
 
@@ -126,139 +153,17 @@ async function fetchWithTimeout(url, fetchOptions, timeoutMs) {
   ]);
 }
 
-function normalizeUsage(provider, json) {
-  if (provider === PROVIDERS.OPENAI) {
-    const u = json?.usage;
-    if (!u) return undefined;
-    const prompt = Number(u.prompt_tokens) || 0;
-    const completion = Number(u.completion_tokens) || 0;
-    const total = Number(u.total_tokens) || (prompt + completion);
-    return { promptTokenCount: prompt, candidatesTokenCount: completion, totalTokenCount: total };
-  }
-
-  const u = json?.usageMetadata;
-  if (!u) return undefined;
-  const prompt = Number(u.promptTokenCount) || 0;
-  const completion = Number(u.candidatesTokenCount) || 0;
-  const total = Number(u.totalTokenCount) || (prompt + completion);
-  return { promptTokenCount: prompt, candidatesTokenCount: completion, totalTokenCount: total };
-}
-
-function extractGeminiText(json) {
-  const candidates = json?.candidates;
-  if (!Array.isArray(candidates) || candidates.length === 0) return { text: "", candidatesCount: 0 };
-
-  const first = candidates[0];
-  const content = first?.content;
-  const parts = Array.isArray(content)
-    ? content.flatMap((c) => (Array.isArray(c?.parts) ? c.parts : [])).filter(Boolean)
-    : (Array.isArray(content?.parts) ? content.parts : []);
-
-  if (!Array.isArray(parts) || parts.length === 0) {
-    return { text: "", candidatesCount: candidates.length, finishReason: first?.finishReason };
-  }
-
-  const rendered = parts
-    .map((p) => {
-      if (typeof p?.text === "string") return p.text;
-      if (p?.functionCall) {
-        const name = p.functionCall.name || "functionCall";
-        const args = p.functionCall.args ? `(${JSON.stringify(p.functionCall.args)})` : "";
-        return `${name}${args}`;
-      }
-      return "";
-    })
-    .filter(Boolean)
-    .join("\n");
-
-  return { text: rendered, candidatesCount: candidates.length, finishReason: first?.finishReason };
-}
-
-function extractOpenAIText(json) {
-  const choices = json?.choices;
-  if (!Array.isArray(choices) || choices.length === 0) return { text: "", candidatesCount: 0 };
-
-  const first = choices[0];
-  const finishReason = first?.finish_reason || first?.finishReason;
-  const message = first?.message || {};
-  const parts = [];
-
-  const content = message.content;
-  if (typeof content === "string") {
-    parts.push(content);
-  } else if (Array.isArray(content)) {
-    for (const c of content) {
-      if (typeof c?.text === "string") parts.push(c.text);
-      else if (typeof c?.content === "string") parts.push(c.content);
-      else if (typeof c?.value === "string") parts.push(c.value);
-    }
-  }
-
-  if (Array.isArray(message.tool_calls)) {
-    for (const tc of message.tool_calls) {
-      const name = tc?.function?.name || tc?.type || "tool";
-      const args = tc?.function?.arguments || "";
-      parts.push(`${name}(${args})`);
-    }
-  }
-
-  const rendered = parts.filter(Boolean).join("\n");
-  return { text: rendered, candidatesCount: choices.length, finishReason };
-}
-
-function isBlockedResponse(provider, json) {
-  if (provider === PROVIDERS.OPENAI) {
-    const finish = json?.choices?.[0]?.finish_reason || json?.choices?.[0]?.finishReason;
-    if (!finish) return false;
-    return String(finish).toLowerCase().includes("content_filter");
-  }
-
-  if (json?.promptFeedback?.blockReason) return true;
-  const finish = json?.candidates?.[0]?.finishReason;
-  if (finish && String(finish).toUpperCase().includes("SAFETY")) return true;
-  return false;
-}
-
-function normalizeToolsForOpenAI(tools) {
-  if (!Array.isArray(tools)) return [];
-  const out = [];
-  for (const t of tools) {
-    if (!t) continue;
-    if (t.type === "function" && t.function && t.function.name) {
-      out.push({ type: "function", function: t.function });
-      continue;
-    }
-    if (Array.isArray(t.functionDeclarations)) {
-      for (const fn of t.functionDeclarations) {
-        if (fn && fn.name) out.push({ type: "function", function: { name: fn.name, description: fn.description, parameters: fn.parameters } });
-      }
-    }
-  }
-  return out;
-}
-
-function buildDiagnostics({ provider, json, status = 0, latencyMs = 0, cacheKey }) {
-  const candidates = provider === PROVIDERS.OPENAI
-    ? (Array.isArray(json?.choices) ? json.choices.length : 0)
-    : (Array.isArray(json?.candidates) ? json.candidates.length : 0);
-
-  const finishReason = provider === PROVIDERS.OPENAI
-    ? (json?.choices?.[0]?.finish_reason || json?.choices?.[0]?.finishReason)
-    : json?.candidates?.[0]?.finishReason;
-
-  const blockReason = provider === PROVIDERS.OPENAI
-    ? (finishReason === "content_filter" ? "content_filter" : undefined)
-    : json?.promptFeedback?.blockReason;
-
+function buildDiagnostics({ adapter, json, status = 0, latencyMs = 0, cacheKey }) {
+  const d = adapter.diagnostics(json || {}) || {};
   const diag = {
-    provider,
+    provider: adapter.id,
     httpStatus: status,
-    candidates,
-    finishReason,
-    blockReason,
-    safety: provider === PROVIDERS.OPENAI ? undefined : json?.candidates?.[0]?.safetyRatings,
-    modelVersion: json?.modelVersion || json?.model,
-    usage: normalizeUsage(provider, json),
+    candidates: d.candidates,
+    finishReason: d.finishReason,
+    blockReason: d.blockReason,
+    safety: d.safety,
+    modelVersion: d.modelVersion,
+    usage: adapter.normalizeUsage(json || {}),
     cacheKey,
     latencyMs
   };
@@ -292,16 +197,17 @@ async function persistGet(cacheKey, ttlMs) {
       await persistDelete(cacheKey);
       return null;
     }
-    return typeof obj?.v === "string" ? obj.v : null;
+    if (typeof obj?.v !== "string") return null;
+    return cacheValue(obj.v, !!obj.tr, obj.g || null);
   } catch {
     return null;
   }
 }
 
-async function persistSet(cacheKey, value) {
+async function persistSet(cacheKey, value, truncated = false, grounding = null) {
   await loadPersistIndex();
   try {
-    await setItem("AI_PERSIST_" + cacheKey, JSON.stringify({ t: Date.now(), v: value }));
+    await setItem("AI_PERSIST_" + cacheKey, JSON.stringify({ t: Date.now(), v: value, ...(truncated ? { tr: 1 } : {}), ...(grounding ? { g: grounding } : {}) }));
     ST.persistIndex = ST.persistIndex.filter((e) => e && e.k !== cacheKey);
     ST.persistIndex.push({ k: cacheKey, t: Date.now() });
 
@@ -323,33 +229,432 @@ async function persistDelete(cacheKey) {
 }
 
 // --- MAIN GENERATE ---
-export async function geminiGenerate(req) {
-  const started = Date.now();
-  diagInc("requests", 1);
-  diagSet("lastRequestAt", new Date().toISOString());
 
-  const provider = normalizeProvider(req?.provider || (await getProvider()));
-  const model = await resolveModel(provider, req.model);
+// Errors (after the retries) that hand the request to the next provider of the fallback chain.
+const FALLBACK_CODES = new Set([ERR.RATE_LIMIT, ERR.API_ERROR, ERR.TIMEOUT]);
+
+/**
+ * Resolves adapter, model, profile and API key of one provider.
+ * Returns { ok: false, code, message } when the provider cannot be called as configured.
+ */
+async function prepareProvider(providerId, requestedModel) {
+  const adapter = getProviderAdapter(providerId);
+  if (!adapter) {
+    return { ok: false, code: ERR.BAD_OPTIONS, message: `Unknown provider: ${providerId}`, provider: String(providerId || "") };
+  }
+  const provider = adapter.id;
+  const model = await resolveModel(adapter, requestedModel);
 
+  const settings = await getProviderSettings(provider);
   const apiKey = await getApiKey(provider);
-  if (!apiKey) {
-    const msg = `${provider === PROVIDERS.OPENAI ? "OpenAI" : "Gemini"} API key missing`;
-    diagError(ERR.KEY_MISSING, msg, 0, provider);
-    diagTrackRequest({ success: false, code: ERR.KEY_MISSING, message: msg, latencyMs: 0, provider, model, functionName: req.functionName });
-    return { ok: false, code: ERR.KEY_MISSING, message: msg, provider, model };
+  if (!apiKey && !settings.noApiKey) {
+    return { ok: false, code: ERR.KEY_MISSING, message: `${adapter.label} API key missing`, provider, model };
+  }
+
+  const settingsError = typeof adapter.validateSettings === "function" ? adapter.validateSettings(settings) : null;
+  if (settingsError) return { ok: false, code: ERR.BAD_OPTIONS, message: settingsError, provider, model };
+
+  return { ok: true, adapter, provider, model, settings, apiKey };
+}
+
+/**
+ * Providers to try after `primary`: the per-request override (false / "none" disables the chain)
+ * or the order saved in the taskpane. Returns null when the override names an unknown provider.
+ */
+async function resolveFallbackChain(primary, override) {
+  if (override === false || override === "none") return [];
+  const order = (override === undefined || override === null || override === true)
+    ? await getFallbackOrder()
+    : parseProviderList(override);
+  return order ? order.filter((p) => p !== primary) : null;
+}
+
+async function readHttpError(resp) {
+  const status = resp?.status || 0;
+  let msg = `HTTP ${status}`;
+  let errJson = null;
+  try {
+    errJson = await resp.json();
+    msg = errJson?.error?.message || errJson?.message || msg;
+  } catch { /* ignore */ }
+  return { status, msg, errJson, code: classifyHttpError(status, msg) };
+}
+
+// Caches and logs a successful answer (streamed or not).
+async function completeSuccess({ provider, model }, { req, cacheKey, cacheMode, fallbackFrom }, { text, latencyMs: lat, diagnostics, groundingMetadata, truncated = false }) {
+  // IMPORTANT: do not truncate the raw model output here.
+  // Many Excel functions expect to parse JSON/TSV returned by the model; truncation would corrupt it.
+  // Cell-length constraints are enforced later (when returning a single-cell string result).
+  let cleaned = text.replace(/\r\n/g, "\n").replace(/\r/g, "\n").trim();
+
+  // A fallback answer is stored under the primary request's key, so recalculation reuses it.
+  const grounding = compactGrounding(groundingMetadata);
+  if (cacheMode !== "none") ST.memCache.set(cacheKey, cacheValue(cleaned, truncated, grounding));
+  if (cacheMode === "persistent") await persistSet(cacheKey, cleaned, truncated, grounding);
+  if (truncated) diagInc("truncated", 1);
+
+  diagSuccess({ model, latencyMs: lat, cacheKey, cached: false, provider });
+  diagTrackRequest({ 
+    success: true, 
+    code: "OK", 
+    message: req.user || "", // Log prompt as message for visibility
+    usage: diagnostics.usage, // Important pour le compteur de tokens
+    latencyMs: lat, 
+    model, 
+    cached: false,
+    functionName: req.functionName,
+    provider,
+    fallbackFrom
+  });
+
+  const via = fallbackFrom ? { fallbackFrom } : {};
+  return { ok: true, text: cleaned, truncated, cached: false, provider, model, cacheKey, latencyMs: lat, diagnostics, groundingMetadata, ...via };
+}
+
+/**
+ * Waits for the provider's rate budget (ratelimit.js), then for one of its concurrency slots.
+ * Returns { key, ticket, release }, or { error } with the result to hand back (canceled,
+ * or a server-imposed pause too long to wait for).
+ */
+async function enterProvider(target, { req, callParams, signal, fallbackFrom, canFallback }) {
+  const { provider, model, settings } = target;
+  const key = `${provider}:${model}`;
+  // Budget pacing always waits; a server-imposed pause is only waited out when no fallback provider is left.
+  const maxPauseMs = canFallback ? 0 : LIMITS.MAX_RATE_PAUSE_MS;
+
+  let ticket;
+  try {
+    ticket = await acquireRate(key, { rpm: settings.rpm, tpm: settings.tpm, tokens: estimateTokens(callParams), maxPauseMs, signal });
+  } catch (e) {
+    if (e?.name !== "RateLimitWaitError") return { error: canceledResult(target) };
+    diagError(ERR.RATE_LIMIT, e.message, 429, provider);
+    diagTrackRequest({ success: false, code: ERR.RATE_LIMIT, message: e.message, httpStatus: 429, latencyMs: 0, model, functionName: req.functionName, provider, fallbackFrom });
+    return { error: { ok: false, code: ERR.RATE_LIMIT, errorCode: ERR.RATE_LIMIT, message: e.message, httpStatus: 429, provider, model, ...(fallbackFrom ? { fallbackFrom } : {}) } };
+  }
+
+  try {
+    const release = await providerSemaphore(provider, settings.maxConcurrent).acquire(signal);
+    return { key, ticket, release };
+  } catch {
+    ticket.settle(0);
+    return { error: canceledResult(target) };
   }
+}
+
+async function runProvider(target, run) {
+  const { req, callParams, cacheKey, timeoutMs, retries, fallbackFrom, signal } = run;
+  const { adapter, provider, model } = target;
+  const started = Date.now();
+  const via = fallbackFrom ? { fallbackFrom } : {};
+
+  const { url, fetchOptions } = adapter.buildRequest({ ...callParams, model, apiKey: target.apiKey, settings: target.settings });
+
+  let requeues = 0;
+  let requeued = false;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0 && !requeued) diagInc("retries", 1);
+    requeued = false;
+
+    const gate = await enterProvider(target, run);
+    if (gate.error) return gate.error;
+
+    const attemptStart = Date.now();
+    try {
+      if (signal?.aborted) return canceledResult(target);
+      const resp = await fetchWithTimeout(url, fetchOptions, timeoutMs, signal);
+
+      if (!resp || !resp.ok) {
+        const { status, msg, errJson, code } = await readHttpError(resp);
+        const lat = Date.now() - attemptStart;
+        noteRateLimit(gate.key, { status, headers: resp?.headers, body: errJson });
+        gate.ticket.settle(0);
+
+        diagTrackRequest({ success: false, code, message: msg, httpStatus: status, latencyMs: lat, model, functionName: req.functionName, provider, fallbackFrom });
+
+        // 429: wait for the quota to come back (paced in enterProvider) without consuming a retry,
+        // unless the fallback chain can take over.
+        if (status === 429 && !run.canFallback && requeues < LIMITS.MAX_RATE_LIMIT_REQUEUES) {
+          requeues++;
+          requeued = true;
+          diagInc("rateLimitWaits", 1);
+          attempt--;
+          continue;
+        }
+
+        if (attempt < retries && isRetriableHttpStatus(status)) {
+          gate.release();
+          await sleep(400 * Math.pow(2, attempt));
+          continue;
+        }
+
+        const diagnostics = buildDiagnostics({ adapter, json: errJson || {}, status, cacheKey, latencyMs: lat });
+        diagError(code, msg, status, provider);
+        return { ok: false, code, errorCode: code, message: msg, httpStatus: status, diagnostics, provider, model, ...via };
+      }
+
+      noteRateLimit(gate.key, { status: resp.status, headers: resp.headers });
+
+      // SUCCES
+      const json = await resp.json();
+      const lat = Date.now() - attemptStart;
+      const diagnostics = buildDiagnostics({ adapter, json, status: resp.status, cacheKey, latencyMs: lat });
+      gate.ticket.settle(diagnostics.usage?.totalTokenCount);
+
+      if (adapter.isBlocked(json)) {
+        const msg = diagnostics.blockReason ? `Blocked: ${diagnostics.blockReason}` : "Blocked by safety settings";
+        diagError(ERR.BLOCKED, msg, resp.status, provider);
+        diagTrackRequest({ success: false, code: ERR.BLOCKED, message: msg, httpStatus: resp.status, latencyMs: lat, model, functionName: req.functionName, provider, fallbackFrom });
+        return { ok: false, code: ERR.BLOCKED, errorCode: ERR.BLOCKED, message: msg, httpStatus: resp.status, diagnostics, provider, model, ...via };
+      }
+
+      const { text, candidatesCount, finishReason } = adapter.extractText(json);
+      const normalizedText = typeof text === "string" ? text : "";
+
+      if (!normalizedText.trim()) {
+        const msg = candidatesCount === 0 ? "Empty response" : `Empty response (finish: ${finishReason})`;
+        diagError(ERR.EMPTY_RESPONSE, msg, resp.status, provider);
+        diagTrackRequest({ success: false, code: ERR.EMPTY_RESPONSE, message: msg, httpStatus: resp.status, latencyMs: lat, model, functionName: req.functionName, provider, fallbackFrom });
+        return { ok: false, code: ERR.EMPTY_RESPONSE, errorCode: ERR.EMPTY_RESPONSE, message: msg, httpStatus: resp.status, diagnostics, provider, model, ...via };
+      }
+
+      const groundingMetadata = typeof adapter.groundingMetadata === "function"
+        ? adapter.groundingMetadata(json)
+        : undefined;
+
+      return await completeSuccess(target, run, { text: normalizedText, latencyMs: lat, diagnostics, groundingMetadata, truncated: isTruncatedFinish(finishReason) });
+
+    } catch (e) {
+      gate.ticket.settle(0);
+      if (signal?.aborted) return canceledResult(target);
+      const msg = (e?.name === "AbortError" || e?.message === "timeout") ? "Timeout" : (e?.message || "Network error");
+      const code = msg === "Timeout" ? ERR.TIMEOUT : ERR.API_ERROR;
+      const lat = Date.now() - attemptStart;
+
+      if (attempt < retries) {
+        gate.release();
+        await sleep(300 * Math.pow(2, attempt));
+        continue;
+      }
+
+      diagError(code, msg, 0, provider);
+      diagTrackRequest({ success: false, code, message: msg, latencyMs: lat, model, functionName: req.functionName, provider, fallbackFrom });
+      
+      const diagnostics = buildDiagnostics({ adapter, json: {}, status: 0, cacheKey, latencyMs: lat });
+      return { ok: false, code, errorCode: code, message: msg, httpStatus: 0, diagnostics, provider, model, ...via };
+    } finally {
+      gate.release();
+    }
+  }
+
+  diagError(ERR.API_ERROR, "Unknown error", 0, provider);
+  diagTrackRequest({ success: false, code: ERR.API_ERROR, message: "Unknown", latencyMs: Date.now() - started, model, functionName: req.functionName, provider, fallbackFrom });
+  return { ok: false, code: ERR.API_ERROR, errorCode: ERR.API_ERROR, message: "Unknown error", httpStatus: 0, diagnostics: {}, provider, model, ...via };
+}
+
+// Like fetchWithTimeout, but the timer restarts whenever bytes arrive: a long answer may keep
+// streaming past timeoutMs as long as the server does not go silent for that long.
+async function fetchStream(url, fetchOptions, timeoutMs, signal, onData) {
+  const t = Number.isFinite(timeoutMs) ? timeoutMs : DEFAULTS.timeoutMs;
+  const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+  const unlink = linkAbort(signal, controller);
+  let timer = null;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller?.abort(), t);
+  };
+
+  arm();
+  try {
+    const resp = await fetch(url, { ...fetchOptions, signal: controller?.signal });
+    if (!resp || !resp.ok) return resp;
+    await readSseStream(resp, (ev) => onData(ev.data), arm);
+    return resp;
+  } finally {
+    clearTimeout(timer);
+    unlink();
+  }
+}
+
+function mergeUsage(prev, next) {
+  const u = { ...(prev || {}) };
+  for (const [k, v] of Object.entries(next || {})) {
+    if (Number.isFinite(v)) u[k] = v;
+  }
+  u.totalTokenCount = (u.promptTokenCount || 0) + (u.candidatesTokenCount || 0);
+  return u;
+}
+
+/**
+ * Streaming counterpart of runProvider: onPartial(textSoFar) is called as fragments arrive.
+ * A failed attempt is only retried while nothing has been shown yet.
+ */
+async function streamProvider(target, run, onPartial) {
+  const { adapter, provider, model } = target;
+
+  // Adapters without a stream parser answer in one piece.
+  if (typeof adapter.parseStreamEvent !== "function") {
+    const res = await runProvider(target, run);
+    if (res.ok) onPartial(res.text);
+    return res;
+  }
+
+  const { req, callParams, cacheKey, timeoutMs, retries, fallbackFrom, signal } = run;
+  const via = fallbackFrom ? { fallbackFrom } : {};
+  const { url, fetchOptions } = adapter.buildRequest({ ...callParams, model, apiKey: target.apiKey, settings: target.settings, stream: true });
+
+  const fail = (code, msg, status, lat, diagnostics) => {
+    diagError(code, msg, status, provider);
+    diagTrackRequest({ success: false, code, message: msg, httpStatus: status, latencyMs: lat, model, functionName: req.functionName, provider, fallbackFrom });
+    return { ok: false, code, errorCode: code, message: msg, httpStatus: status, diagnostics, provider, model, ...via };
+  };
+
+  let requeues = 0;
+  let requeued = false;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0 && !requeued) diagInc("retries", 1);
+    requeued = false;
+
+    const gate = await enterProvider(target, run);
+    if (gate.error) return gate.error;
+
+    const attemptStart = Date.now();
+    let text = "";
+    let finishReason;
+    let usage;
+    let blocked = false;
+    let streamError = "";
+
+    try {
+      if (signal?.aborted) return canceledResult(target);
+      const resp = await fetchStream(url, fetchOptions, timeoutMs, signal, (data) => {
+        if (data === "[DONE]") return;
+        let json;
+        try { json = JSON.parse(data); } catch { return; }
+        const ev = adapter.parseStreamEvent(json) || {};
+        if (ev.error) streamError = ev.error;
+        if (ev.blocked) blocked = true;
+        if (ev.finishReason) finishReason = ev.finishReason;
+        if (ev.usage) usage = mergeUsage(usage, ev.usage);
+        if (ev.text) {
+          text += ev.text;
+          onPartial(text);
+        }
+      });
+
+      if (!resp || !resp.ok) {
+        const { status, msg, errJson, code } = await readHttpError(resp);
+        const lat = Date.now() - attemptStart;
+        noteRateLimit(gate.key, { status, headers: resp?.headers, body: errJson });
+        gate.ticket.settle(0);
+        if (status === 429 && !run.canFallback && requeues < LIMITS.MAX_RATE_LIMIT_REQUEUES) {
+          diagTrackRequest({ success: false, code, message: msg, httpStatus: status, latencyMs: lat, model, functionName: req.functionName, provider, fallbackFrom });
+          requeues++;
+          requeued = true;
+          diagInc("rateLimitWaits", 1);
+          attempt--;
+          continue;
+        }
+        if (attempt < retries && isRetriableHttpStatus(status)) {
+          diagTrackRequest({ success: false, code, message: msg, httpStatus: status, latencyMs: lat, model, functionName: req.functionName, provider, fallbackFrom });
+          gate.release();
+          await sleep(400 * Math.pow(2, attempt));
+          continue;
+        }
+        return fail(code, msg, status, lat, buildDiagnostics({ adapter, json: errJson || {}, status, cacheKey, latencyMs: lat }));
+      }
+
+      noteRateLimit(gate.key, { status: resp.status, headers: resp.headers });
+      gate.ticket.settle(usage?.totalTokenCount);
+      const lat = Date.now() - attemptStart;
+      const diagnostics = {
+        ...buildDiagnostics({ adapter, json: {}, status: resp.status, cacheKey, latencyMs: lat }),
+        candidates: text ? 1 : 0,
+        finishReason,
+        usage,
+        streamed: true
+      };
+
+      if (streamError) {
+        if (attempt < retries && !text) {
+          gate.release();
+          await sleep(400 * Math.pow(2, attempt));
+          continue;
+        }
+        return fail(ERR.API_ERROR, streamError, resp.status, lat, diagnostics);
+      }
+      if (blocked) {
+        return fail(ERR.BLOCKED, finishReason ? `Blocked: ${finishReason}` : "Blocked by safety settings", resp.status, lat, diagnostics);
+      }
+      if (!text.trim()) {
+        return fail(ERR.EMPTY_RESPONSE, finishReason ? `Empty response (finish: ${finishReason})` : "Empty response", resp.status, lat, diagnostics);
+      }
+
+      return await completeSuccess(target, run, { text, latencyMs: lat, diagnostics, truncated: isTruncatedFinish(finishReason) });
+
+    } catch (e) {
+      gate.ticket.settle(0);
+      if (signal?.aborted) return canceledResult(target);
+      const msg = (e?.name === "AbortError" || e?.message === "timeout") ? "Timeout" : (e?.message || "Network error");
+      const code = msg === "Timeout" ? ERR.TIMEOUT : ERR.API_ERROR;
+      const lat = Date.now() - attemptStart;
+
+      if (attempt < retries && !text) {
+        gate.release();
+        await sleep(300 * Math.pow(2, attempt));
+        continue;
+      }
+      return fail(code, msg, 0, lat, buildDiagnostics({ adapter, json: {}, status: 0, cacheKey, latencyMs: lat }));
+    } finally {
+      gate.release();
+    }
+  }
+
+  return fail(ERR.API_ERROR, "Unknown error", 0, 0, {});
+}
+
+/**
+ * Front half shared by geminiGenerate and geminiStream: provider checks, generation settings, cache key.
+ * Returns { error } (a failure result ready to return) or the request context.
+ */
+async function prepareGenerate(req) {
+  const requestedProvider = req?.provider || (await getProvider());
+  const primary = await prepareProvider(requestedProvider, req.model);
+  if (!primary.ok) {
+    diagError(primary.code, primary.message, 0, primary.provider);
+    diagTrackRequest({ success: false, code: primary.code, message: primary.message, latencyMs: 0, provider: primary.provider, model: primary.model, functionName: req.functionName });
+    return { error: { ok: false, code: primary.code, message: primary.message, provider: primary.provider, model: primary.model } };
+  }
+  const { adapter, provider, model, settings } = primary;
+
+  // A provider without web search would answer from the model's memory: refused rather than passed off.
+  const search = Array.isArray(req?.tools) && req.tools.some((t) => t && t.googleSearch);
+  if (search && !adapter.webSearch) {
+    const msg = `${adapter.label} cannot search the web`;
+    diagError(ERR.NO_SEARCH, msg, 0, provider);
+    diagTrackRequest({ success: false, code: ERR.NO_SEARCH, message: msg, latencyMs: 0, provider, model, functionName: req.functionName });
+    return { error: { ok: false, code: ERR.NO_SEARCH, message: msg, provider, model } };
+  }
+
+  let fallbacks = await resolveFallbackChain(provider, req.fallback);
+  if (!fallbacks) {
+    const msg = `Unknown provider in fallback: ${Array.isArray(req.fallback) ? req.fallback.join(", ") : req.fallback}`;
+    diagError(ERR.BAD_OPTIONS, msg, 0, provider);
+    diagTrackRequest({ success: false, code: ERR.BAD_OPTIONS, message: msg, latencyMs: 0, provider, model, functionName: req.functionName });
+    return { error: { ok: false, code: ERR.BAD_OPTIONS, message: msg, provider, model } };
+  }
+  if (search) fallbacks = fallbacks.filter((p) => getProviderAdapter(p)?.webSearch);
 
   const cacheMode = sanitizeCacheMode(req.cache);
   const ttlMs = Math.max(0, Number(req.cacheTtlSec || DEFAULTS.cacheTtlSec)) * 1000;
   const cacheOnly = Boolean(req.cacheOnly);
 
-  const generationConfig = req.generationConfig || {};
+  const requestedConfig = req.generationConfig || {};
 
   // Logic priority: req.generationConfig.maxOutputTokens > storage setting > DEFAULTS.maxTokens
   // Clamp to the UI bounds (32..128000) to avoid silent provider errors.
   let maxTokensRaw = DEFAULTS.maxTokens;
-  if (typeof generationConfig.maxOutputTokens === "number") {
-    maxTokensRaw = generationConfig.maxOutputTokens;
+  if (typeof requestedConfig.maxOutputTokens === "number") {
+    maxTokensRaw = requestedConfig.maxOutputTokens;
   } else {
     const stored = await getMaxTokens();
     if (stored) maxTokensRaw = stored;
@@ -361,79 +666,69 @@ export async function geminiGenerate(req) {
 
   const systemText = String(req.system || "");
   const userText = String(req.user || "");
-  const temp = typeof generationConfig.temperature === "number" ? generationConfig.temperature : DEFAULTS.temperature;
-
-  const geminiBody = {
-    systemInstruction: { role: "system", parts: [{ text: systemText }] },
-    contents: [{ role: "user", parts: [{ text: userText }] }],
-    generationConfig: {
-      temperature: temp,
-      maxOutputTokens: maxTokens
-    }
-  };
-
-  const openaiBody = {
-    model,
-    messages: [],
-    temperature: temp
-  };
-  if (systemText) openaiBody.messages.push({ role: "system", content: systemText });
-  openaiBody.messages.push({ role: "user", content: userText });
-  openaiBody.max_tokens = maxTokens;
-
-  if (Array.isArray(req?.tools) && req.tools.length > 0) {
-    if (provider === PROVIDERS.OPENAI) {
-      const converted = normalizeToolsForOpenAI(req.tools);
-      if (converted.length > 0) openaiBody.tools = converted;
-    } else {
-      geminiBody.tools = req.tools;
-    }
-  }
+  const temp = typeof requestedConfig.temperature === "number" ? requestedConfig.temperature : DEFAULTS.temperature;
 
+  // Provider-neutral generation settings; each adapter maps them onto its own body shape.
+  const generationConfig = { temperature: temp, maxOutputTokens: maxTokens };
   for (const k of ["topP", "topK", "candidateCount", "stopSequences"]) {
-    if (generationConfig[k] !== undefined) geminiBody.generationConfig[k] = generationConfig[k];
+    if (requestedConfig[k] !== undefined) generationConfig[k] = requestedConfig[k];
   }
-  if (generationConfig.topP !== undefined) openaiBody.top_p = generationConfig.topP;
-  if (generationConfig.stopSequences !== undefined) openaiBody.stop = generationConfig.stopSequences;
 
-  if (req.responseMimeType) geminiBody.generationConfig.responseMimeType = req.responseMimeType;
-  if (req.responseJsonSchema) geminiBody.generationConfig.responseJsonSchema = req.responseJsonSchema;
+  const callParams = {
+    system: systemText,
+    user: userText,
+    generationConfig,
+    tools: Array.isArray(req?.tools) ? req.tools : [],
+    responseMimeType: req.responseMimeType,
+    responseJsonSchema: req.responseJsonSchema
+  };
 
-  if (req.responseJsonSchema) {
-    openaiBody.response_format = { type: "json_schema", json_schema: { name: "schema", schema: req.responseJsonSchema, strict: true } };
-  } else if (req.responseMimeType === "application/json") {
-    openaiBody.response_format = { type: "json_object" };
-  }
+  const keyConfig = { ...generationConfig };
+  if (req.responseMimeType) keyConfig.responseMimeType = req.responseMimeType;
+  if (req.responseJsonSchema) keyConfig.responseJsonSchema = req.responseJsonSchema;
 
   const rawKey = stableStringify({
     provider,
     model,
     system: systemText,
     user: userText,
-    generationConfig: geminiBody.generationConfig,
+    generationConfig: keyConfig,
     responseMimeType: req.responseMimeType || "",
     responseJsonSchema: req.responseJsonSchema || null,
-    tools: req.tools || []
+    tools: req.tools || [],
+    // Vote samples (see AI.CLASSIFY { votes }) are separate requests with their own cache entries.
+    ...(req.sample ? { sample: req.sample } : {}),
+    // Two servers (or Azure deployments) may expose different weights under the same model name.
+    ...(settings.baseUrl ? { endpoint: adapter.buildRequest({ ...callParams, model, apiKey: primary.apiKey, settings }).url } : {})
   });
 
   const cacheKey = await hashKey(rawKey);
+  return { primary, fallbacks, callParams, cacheKey, cacheMode, ttlMs, cacheOnly };
+}
+
+/**
+ * Memory / persistent cache lookup. Returns the result to hand back (hit, or miss in cacheOnly mode), else null.
+ */
+async function readCache({ primary, cacheKey, cacheMode, ttlMs, cacheOnly }, req, started) {
+  const { provider, model } = primary;
 
-  // CHECK CACHE
   if (cacheMode !== "none") {
-    const cached = ST.memCache.get(cacheKey);
-    if (typeof cached === "string") {
+    const cached = cacheEntry(ST.memCache.get(cacheKey));
+    if (cached) {
       diagInc("cacheHits", 1);
       const lat = Date.now() - started;
       diagSuccess({ model, latencyMs: lat, cacheKey, cached: true, provider });
       diagTrackRequest({ success: true, code: "CACHE_MEM", model, latencyMs: lat, cached: true, functionName: req.functionName, provider });
       return {
         ok: true,
-        text: cached,
+        text: cached.text,
+        truncated: cached.truncated,
         cached: true,
         provider,
         model,
         cacheKey,
         latencyMs: lat,
+        groundingMetadata: cached.groundingMetadata,
         diagnostics: { cacheKey, cached: true, cacheSource: "memory", provider }
       };
     }
@@ -441,21 +736,23 @@ export async function geminiGenerate(req) {
   }
 
   if (cacheMode === "persistent") {
-    const pv = await persistGet(cacheKey, ttlMs);
-    if (typeof pv === "string") {
+    const pv = cacheEntry(await persistGet(cacheKey, ttlMs));
+    if (pv) {
       diagInc("cacheHits", 1);
-      ST.memCache.set(cacheKey, pv);
+      ST.memCache.set(cacheKey, cacheValue(pv.text, pv.truncated, pv.groundingMetadata || null));
       const lat = Date.now() - started;
       diagSuccess({ model, latencyMs: lat, cacheKey, cached: true, provider });
       diagTrackRequest({ success: true, code: "CACHE_PERSIST", model, latencyMs: lat, cached: true, functionName: req.functionName, provider });
       return {
         ok: true,
-        text: pv,
+        text: pv.text,
+        truncated: pv.truncated,
         cached: true,
         provider,
         model,
         cacheKey,
         latencyMs: lat,
+        groundingMetadata: pv.groundingMetadata,
         diagnostics: { cacheKey, cached: true, cacheSource: "persistent", provider }
       };
     }
@@ -467,150 +764,145 @@ export async function geminiGenerate(req) {
     diagTrackRequest({ success: false, code: ERR.CACHE_MISS, message: "Cache only mode", latencyMs: lat, model, cached: false, functionName: req.functionName, provider });
     return { ok: false, code: ERR.CACHE_MISS, errorCode: ERR.CACHE_MISS, cacheKey, latencyMs: lat, provider, diagnostics };
   }
+  return null;
+}
+
+function canceledResult({ provider, model }) {
+  return { ok: false, code: ERR.CANCELED, errorCode: ERR.CANCELED, message: "Canceled", provider, model };
+}
 
-  if (ST.inflight.has(cacheKey)) {
+/**
+ * Shares one execution per cache key between identical requests. Each caller may pass its own
+ * AbortSignal (req.signal): a canceled caller gets #AI_CANCELED right away, and the shared request
+ * is aborted (dropped from the rate-limit / concurrency queues, or its HTTP call interrupted) once every caller has canceled.
+ */
+function joinInflight(cacheKey, req, { started, provider, model }, start) {
+  let entry = ST.inflight.get(cacheKey);
+  if (entry) {
     diagInc("dedupHits", 1);
-    return await ST.inflight.get(cacheKey);
+  } else {
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    entry = { refs: 0, controller, promise: null };
+    entry.promise = start(controller?.signal).finally(() => {
+      if (ST.inflight.get(cacheKey) === entry) ST.inflight.delete(cacheKey);
+    });
+    ST.inflight.set(cacheKey, entry);
   }
+  entry.refs++;
 
-  // EXECUTE REQUEST
-  const p = (async () => {
-    const release = await ST.semaphore.acquire();
-    try {
-      const timeoutMs = Number.isFinite(req.timeoutMs) ? req.timeoutMs : DEFAULTS.timeoutMs;
-      const retries = Number.isFinite(req.retry) ? Math.max(0, Math.min(3, Math.floor(req.retry))) : DEFAULTS.retry;
-
-      const url = provider === PROVIDERS.OPENAI
-        ? `${OPENAI.BASE_URL}/chat/completions`
-        : `${GEMINI.BASE_URL}/models/${encodeURIComponent(model)}:generateContent`;
-
-      const fetchOptions = provider === PROVIDERS.OPENAI
-        ? {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "Authorization": `Bearer ${apiKey}`
-            },
-            body: JSON.stringify(openaiBody)
-          }
-        : {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "x-goog-api-key": apiKey
-            },
-            body: JSON.stringify(geminiBody)
-          };
-
-      for (let attempt = 0; attempt <= retries; attempt++) {
-        const attemptStart = Date.now();
-        try {
-          if (attempt > 0) diagInc("retries", 1);
-
-          const resp = await fetchWithTimeout(url, fetchOptions, timeoutMs);
-
-          if (!resp || !resp.ok) {
-            const status = resp?.status || 0;
-            let msg = `HTTP ${status}`;
-            let errJson = null;
-            try {
-              errJson = await resp.json();
-              msg = errJson?.error?.message || errJson?.message || msg;
-            } catch { /* ignore */ }
-
-            const code = classifyHttpError(status, msg);
-            const lat = Date.now() - attemptStart;
-
-            diagTrackRequest({ success: false, code, message: msg, httpStatus: status, latencyMs: lat, model, functionName: req.functionName, provider });
-
-            if (attempt < retries && isRetriableHttpStatus(status)) {
-              await sleep(400 * Math.pow(2, attempt));
-              continue;
-            }
-
-            const diagnostics = buildDiagnostics({ provider, json: errJson || {}, status, cacheKey, latencyMs: lat });
-            diagError(code, msg, status, provider);
-            return { ok: false, code, errorCode: code, message: msg, httpStatus: status, diagnostics, provider, model };
-          }
-
-          // SUCCES
-          const json = await resp.json();
-          const lat = Date.now() - attemptStart;
-          const diagnostics = buildDiagnostics({ provider, json, status: resp.status, cacheKey, latencyMs: lat });
-
-          if (isBlockedResponse(provider, json)) {
-            const msg = diagnostics.blockReason ? `Blocked: ${diagnostics.blockReason}` : "Blocked by safety settings";
-            diagError(ERR.BLOCKED, msg, resp.status, provider);
-            diagTrackRequest({ success: false, code: ERR.BLOCKED, message: msg, httpStatus: resp.status, latencyMs: lat, model, functionName: req.functionName, provider });
-            return { ok: false, code: ERR.BLOCKED, errorCode: ERR.BLOCKED, message: msg, httpStatus: resp.status, diagnostics, provider, model };
-          }
-
-          const { text, candidatesCount, finishReason } = provider === PROVIDERS.OPENAI ? extractOpenAIText(json) : extractGeminiText(json);
-          const normalizedText = typeof text === "string" ? text : "";
-
-          if (!normalizedText.trim()) {
-            const msg = candidatesCount === 0 ? "Empty response" : `Empty response (finish: ${finishReason})`;
-            diagError(ERR.EMPTY_RESPONSE, msg, resp.status, provider);
-            diagTrackRequest({ success: false, code: ERR.EMPTY_RESPONSE, message: msg, httpStatus: resp.status, latencyMs: lat, model, functionName: req.functionName, provider });
-            return { ok: false, code: ERR.EMPTY_RESPONSE, errorCode: ERR.EMPTY_RESPONSE, message: msg, httpStatus: resp.status, diagnostics, provider, model };
-          }
-
-          // IMPORTANT: do not truncate the raw model output here.
-          // Many Excel functions expect to parse JSON/TSV returned by the model; truncation would corrupt it.
-          // Cell-length constraints are enforced later (when returning a single-cell string result).
-          let cleaned = normalizedText.replace(/\r\n/g, "\n").replace(/\r/g, "\n").trim();
-
-          if (cacheMode !== "none") ST.memCache.set(cacheKey, cleaned);
-          if (cacheMode === "persistent") await persistSet(cacheKey, cleaned);
-
-          const groundingMetadata = provider === PROVIDERS.GEMINI
-            ? (json?.candidates?.[0]?.groundingMetadata || json?.groundingMetadata)
-            : undefined;
-
-          diagSuccess({ model, latencyMs: lat, cacheKey, cached: false, provider });
-          diagTrackRequest({ 
-            success: true, 
-            code: "OK", 
-            message: req.user || "", // Log prompt as message for visibility
-            usage: diagnostics.usage, // Important pour le compteur de tokens
-            latencyMs: lat, 
-            model, 
-            cached: false,
-            functionName: req.functionName,
-            provider
-          });
-
-          return { ok: true, text: cleaned, cached: false, provider, model, cacheKey, latencyMs: lat, diagnostics, groundingMetadata };
-          
-        } catch (e) {
-          const msg = (e?.name === "AbortError" || e?.message === "timeout") ? "Timeout" : (e?.message || "Network error");
-          const code = msg === "Timeout" ? ERR.TIMEOUT : ERR.API_ERROR;
-          const lat = Date.now() - attemptStart;
-
-          if (attempt < retries) {
-            await sleep(300 * Math.pow(2, attempt));
-            continue;
-          }
-
-          diagError(code, msg, 0, provider);
-          diagTrackRequest({ success: false, code, message: msg, latencyMs: lat, model, functionName: req.functionName, provider });
-          
-          const diagnostics = buildDiagnostics({ provider, json: {}, status: 0, cacheKey, latencyMs: lat });
-          return { ok: false, code, errorCode: code, message: msg, httpStatus: 0, diagnostics, provider, model };
-        }
-      }
+  const signal = req.signal;
+  if (!signal) return entry.promise;
 
-      diagError(ERR.API_ERROR, "Unknown error", 0, provider);
-      diagTrackRequest({ success: false, code: ERR.API_ERROR, message: "Unknown", latencyMs: Date.now() - started, model, functionName: req.functionName, provider });
-      return { ok: false, code: ERR.API_ERROR, errorCode: ERR.API_ERROR, message: "Unknown error", httpStatus: 0, diagnostics: {}, provider, model };
-    } finally {
-      release();
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      entry.refs--;
+      if (entry.refs <= 0) {
+        if (ST.inflight.get(cacheKey) === entry) ST.inflight.delete(cacheKey);
+        entry.controller?.abort();
+      }
+      diagInc("canceled", 1);
+      diagTrackRequest({ success: false, code: ERR.CANCELED, message: "Canceled by Excel", latencyMs: Date.now() - started, model, functionName: req.functionName, provider });
+      resolve(canceledResult({ provider, model }));
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
     }
-  })();
+    signal.addEventListener("abort", onAbort, { once: true });
+    entry.promise.then((res) => {
+      signal.removeEventListener("abort", onAbort);
+      resolve(res);
+    });
+  });
+}
 
-  ST.inflight.set(cacheKey, p);
-  try { return await p; }
-  finally { ST.inflight.delete(cacheKey); }
+/**
+ * Runs `runOne(target, run)` on the primary provider, then on the fallback chain while the
+ * failure is transient. Providers without a usable profile (no key, incomplete Azure endpoint...) are skipped.
+ */
+async function runChain({ primary, fallbacks, callParams, cacheKey, cacheMode }, req, signal, runOne) {
+  const timeoutMs = Number.isFinite(req.timeoutMs) ? req.timeoutMs : DEFAULTS.timeoutMs;
+  const retries = Number.isFinite(req.retry) ? Math.max(0, Math.min(3, Math.floor(req.retry))) : DEFAULTS.retry;
+  const run = { req, callParams, cacheKey, cacheMode, timeoutMs, retries, signal };
+
+  // `canFallback`: a rate-limited provider hands over to the next one instead of waiting for its quota.
+  let res = await runOne(primary, { ...run, canFallback: fallbacks.length > 0 });
+  for (let i = 0; i < fallbacks.length; i++) {
+    if (res.ok || !FALLBACK_CODES.has(res.code)) break;
+    const target = await prepareProvider(fallbacks[i]);
+    if (!target.ok) continue;
+    diagInc("fallbacks", 1);
+    res = await runOne(target, { ...run, fallbackFrom: primary.provider, canFallback: i < fallbacks.length - 1 });
+  }
+  return res;
+}
+
+export async function geminiGenerate(req) {
+  const started = Date.now();
+  diagInc("requests", 1);
+  diagSet("lastRequestAt", new Date().toISOString());
+
+  const ctx = await prepareGenerate(req);
+  if (ctx.error) return ctx.error;
+
+  const hit = await readCache(ctx, req, started);
+  if (hit) return hit;
+
+  // EXECUTE REQUEST (or join the identical one already running)
+  return await joinInflight(ctx.cacheKey, req, { started, ...ctx.primary }, (signal) => runChain(ctx, req, signal, runProvider));
+}
+
+/**
+ * Cache-only lookup for `req` (no call, no #AI_CACHE_MISS logged): the cached result, the error result
+ * when the request cannot be sent as configured, or null on a miss.
+ * Used with geminiCacheStore by callers that answer several requests with one batched call.
+ */
+export async function geminiCacheLookup(req) {
+  const started = Date.now();
+  const ctx = await prepareGenerate(req);
+  if (ctx.error) return ctx.error;
+  return await readCache({ ...ctx, cacheOnly: false }, req, started);
+}
+
+/**
+ * Stores `text` as the answer to `req`, as if geminiGenerate had produced it.
+ */
+export async function geminiCacheStore(req, text) {
+  const ctx = await prepareGenerate(req);
+  if (ctx.error || ctx.cacheMode === "none") return;
+  const cleaned = String(text ?? "").replace(/\r\n/g, "\n").replace(/\r/g, "\n").trim();
+  ST.memCache.set(ctx.cacheKey, cleaned);
+  if (ctx.cacheMode === "persistent") await persistSet(ctx.cacheKey, cleaned);
+}
+
+/**
+ * Same request, cache key and caches as geminiGenerate, but the answer is streamed:
+ * onPartial(textSoFar) receives the text accumulated so far while tokens arrive.
+ * Cache hits (and non-streaming adapters) call onPartial once with the whole text.
+ */
+export async function geminiStream(req, onPartial) {
+  const started = Date.now();
+  const emit = typeof onPartial === "function" ? onPartial : () => {};
+  diagInc("requests", 1);
+  diagSet("lastRequestAt", new Date().toISOString());
+
+  const ctx = await prepareGenerate(req);
+  if (ctx.error) return ctx.error;
+
+  const hit = await readCache(ctx, req, started);
+  if (hit) {
+    if (hit.ok) emit(hit.text);
+    return hit;
+  }
+
+  // An identical request already running (streamed or not) is awaited instead of sent twice.
+  let owner = false;
+  const res = await joinInflight(ctx.cacheKey, req, { started, ...ctx.primary }, (signal) => {
+    owner = true;
+    return runChain(ctx, req, signal, (target, run) => streamProvider(target, run, emit));
+  });
+  if (!owner && res.ok) emit(res.text);
+  return res;
 }
 
 export async function geminiMinimalTest(options = {}) {
@@ -623,7 +915,8 @@ export async function geminiMinimalTest(options = {}) {
     responseMimeType: "text/plain",
     cache: "none",
     timeoutMs: options.timeoutMs,
-    retry: 0
+    retry: 0,
+    signal: options.signal
   });
 
   if (!res.ok) return res;
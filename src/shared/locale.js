@@ -0,0 +1,94 @@
+// src/shared/locale.js
+//
+// Formula locale of the running Excel: the language of function names follows the Office display language,
+// the decimal separator follows Excel (its own setting, or the system one). Excel does not expose the list
+// separator; it is ";" wherever the decimal separator is ",", as in the French and most European locales.
+// The locale is captured once the Office runtime is ready (taskpane and custom functions share it), kept in
+// the shared state and persisted, so that functions recalculated before the capture use the last known one.
+// Only English and French function names are known (see formula.js): other display languages get English names.
+
+import { STORAGE } from "./constants";
+import { getSharedState } from "./diagnostics";
+import { getItem, setItem } from "./storage";
+
+const state = getSharedState();
+
+function localeFrom({ displayLanguage, culture, decimalSep }) {
+  const names = String(displayLanguage || "").toLowerCase().startsWith("fr") ? "fr" : "en";
+  const dec = decimalSep === "," ? "," : ".";
+  return {
+    names,
+    argSep: dec === "," ? ";" : ",",
+    decimalSep: dec,
+    culture: culture || "",
+    displayLanguage: displayLanguage || ""
+  };
+}
+
+async function readExcelSeparators() {
+  if (typeof Excel === "undefined" || !Excel.run) return {};
+  if (!Office.context?.requirements?.isSetSupported?.("ExcelApi", "1.11")) return {};
+  return await Excel.run(async (context) => {
+    const app = context.application;
+    app.load("decimalSeparator,useSystemSeparators");
+    const culture = app.cultureInfo;
+    culture.load("name");
+    culture.numberFormat.load("numberDecimalSeparator");
+    await context.sync();
+    return {
+      culture: culture.name,
+      decimalSep: app.useSystemSeparators ? culture.numberFormat.numberDecimalSeparator : app.decimalSeparator
+    };
+  });
+}
+
+/**
+ * Reads the formula locale from Office / Excel and stores it. Safe to call from both runtimes: the capture
+ * runs once. Resolves the locale, or null outside Office.
+ */
+export function captureExcelLocale() {
+  if (state.excelLocalePromise) return state.excelLocalePromise;
+
+  state.excelLocalePromise = (async () => {
+    if (typeof Office === "undefined" || !Office.onReady) return null;
+    await Office.onReady();
+    const displayLanguage = Office.context?.displayLanguage || "";
+    let separators = {};
+    try {
+      separators = await readExcelSeparators();
+    } catch { /* older Excel: separators from the display language */ }
+
+    const decimalSep = separators.decimalSep
+      || (displayLanguage ? (1.5).toLocaleString(displayLanguage).charAt(1) : ".");
+    const locale = localeFrom({ displayLanguage, culture: separators.culture, decimalSep });
+    state.excelLocale = locale;
+    try {
+      await setItem(STORAGE.EXCEL_LOCALE, JSON.stringify(locale));
+    } catch { /* ignore */ }
+    return locale;
+  })().catch(() => null);
+
+  return state.excelLocalePromise;
+}
+
+/**
+ * The formula locale { names: "en" | "fr", argSep, decimalSep, culture, displayLanguage }: captured in this
+ * session, else the last persisted one, else null (not detected yet).
+ */
+export async function getExcelLocale() {
+  if (state.excelLocale) return state.excelLocale;
+  if (state.excelLocalePromise) {
+    // A capture under way is worth a short wait on the first formula.
+    const captured = await Promise.race([state.excelLocalePromise, new Promise((r) => setTimeout(() => r(null), 2000))]);
+    if (captured) return captured;
+  }
+  try {
+    const raw = await getItem(STORAGE.EXCEL_LOCALE);
+    const saved = raw ? JSON.parse(raw) : null;
+    if (saved && typeof saved === "object" && saved.names) {
+      state.excelLocale = localeFrom(saved);
+      return state.excelLocale;
+    }
+  } catch { /* ignore */ }
+  return null;
+}
@@ -35,8 +35,17 @@ export function parseFields(schemaOrFields) {
     } catch { /* fallthrough */ }
   }
 
-  const fields = raw.split(/[,;\n]+/).map((s) => s.trim()).filter(Boolean);
-  return { ok: fields.length > 0, fields, types: {}, original: null, error: fields.length ? null : ERR.BAD_SCHEMA };
+  // "name;email;amount:number;date:date"
+  const fields = [];
+  const types = {};
+  for (const part of raw.split(/[,;\n]+/)) {
+    const m = part.match(/^(.*?)\s*:\s*([\p{L}]+)\s*$/u);
+    const name = (m ? m[1] : part).trim();
+    if (!name || fields.includes(name)) continue;
+    fields.push(name);
+    if (m) types[name] = m[2].toLowerCase();
+  }
+  return { ok: fields.length > 0, fields, types, original: null, error: fields.length ? null : ERR.BAD_SCHEMA };
 }
 
 export function buildExtractPrompt(text, schemaInfo, options) {
@@ -48,7 +57,8 @@ export function buildExtractPrompt(text, schemaInfo, options) {
     "You extract structured fields from unstructured text.",
     "Return ONLY a JSON object that matches the provided JSON schema.",
     "Do not add extra keys.",
-    "If a field is not present in the text, return an empty string for that field.",
+    "If a field is not present in the text, return null for that field.",
+    "number fields: a JSON number, without currency, unit or thousands separator. date fields: \"YYYY-MM-DD\". boolean fields: true or false.",
     `Responding language for values: ${lang} (keep extracted values as-is if they are emails, phone numbers, IDs, etc.).`
   ].join("\n");
 
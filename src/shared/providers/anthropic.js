@@ -0,0 +1,148 @@
+// src/shared/providers/anthropic.js
+
+import { ANTHROPIC, PROVIDERS, STORAGE } from "../constants";
+
+function extractText(json) {
+  const content = json?.content;
+  if (!Array.isArray(content) || content.length === 0) return { text: "", candidatesCount: 0, finishReason: json?.stop_reason };
+
+  const rendered = content
+    .map((c) => {
+      if (c?.type === "text" && typeof c.text === "string") return c.text;
+      if (c?.type === "tool_use") {
+        const name = c.name || "tool_use";
+        const args = c.input ? `(${JSON.stringify(c.input)})` : "";
+        return `${name}${args}`;
+      }
+      return "";
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  return { text: rendered, candidatesCount: 1, finishReason: json?.stop_reason };
+}
+
+function normalizeTools(tools) {
+  if (!Array.isArray(tools)) return [];
+  const out = [];
+  for (const t of tools) {
+    if (!t) continue;
+    if (t.type === "function" && t.function && t.function.name) {
+      out.push({ name: t.function.name, description: t.function.description, input_schema: t.function.parameters || { type: "object" } });
+      continue;
+    }
+    if (Array.isArray(t.functionDeclarations)) {
+      for (const fn of t.functionDeclarations) {
+        if (fn && fn.name) out.push({ name: fn.name, description: fn.description, input_schema: fn.parameters || { type: "object" } });
+      }
+    }
+  }
+  return out;
+}
+
+// The Messages API has no JSON response mode: the expected format is spelled out in the system prompt instead.
+function jsonInstruction(responseMimeType, responseJsonSchema) {
+  if (responseJsonSchema) {
+    return [
+      "Return ONLY a JSON value matching this JSON schema (no Markdown, no code fences, no commentary):",
+      JSON.stringify(responseJsonSchema)
+    ].join("\n");
+  }
+  if (responseMimeType === "application/json") return "Return ONLY valid JSON (no Markdown, no code fences, no commentary).";
+  return "";
+}
+
+function buildBody({ model, system, user, generationConfig, tools, responseMimeType, responseJsonSchema, stream }) {
+  const systemText = [system, jsonInstruction(responseMimeType, responseJsonSchema)].filter(Boolean).join("\n\n");
+  const body = {
+    model,
+    max_tokens: generationConfig.maxOutputTokens,
+    messages: [{ role: "user", content: user }],
+    temperature: generationConfig.temperature
+  };
+  if (systemText) body.system = systemText;
+
+  const converted = normalizeTools(tools);
+  if (converted.length > 0) body.tools = converted;
+
+  // Recent Claude models reject temperature and top_p together; temperature is always set, so top_p is not forwarded.
+  if (generationConfig.topK !== undefined) body.top_k = generationConfig.topK;
+  if (generationConfig.stopSequences !== undefined) body.stop_sequences = generationConfig.stopSequences;
+  if (stream) body.stream = true;
+  return body;
+}
+
+export const anthropicProvider = {
+  id: PROVIDERS.ANTHROPIC,
+  label: "Claude",
+  defaultModel: ANTHROPIC.DEFAULT_MODEL,
+  storage: { apiKey: STORAGE.API_KEY_ANTHROPIC, model: STORAGE.ANTHROPIC_MODEL },
+  costs: { in: 1.00, out: 5.00 },
+
+  buildRequest({ apiKey, settings, ...params }) {
+    const headers = {
+      "Content-Type": "application/json",
+      "anthropic-version": ANTHROPIC.API_VERSION,
+      // Required for calls issued straight from the add-in (browser) without a backend.
+      "anthropic-dangerous-direct-browser-access": "true"
+    };
+    if (apiKey) headers["x-api-key"] = apiKey;
+    return {
+      url: `${settings?.baseUrl || ANTHROPIC.BASE_URL}/messages`,
+      fetchOptions: {
+        method: "POST",
+        headers: { ...headers, ...(settings?.headers || {}) },
+        body: JSON.stringify(buildBody(params))
+      }
+    };
+  },
+
+  extractText,
+
+  // Streamed events: message_start (input usage), content_block_delta (text), message_delta (stop reason, output usage).
+  parseStreamEvent(json) {
+    switch (json?.type) {
+      case "message_start":
+        return { usage: anthropicProvider.normalizeUsage(json.message) };
+      case "content_block_delta":
+        return { text: json.delta?.type === "text_delta" ? json.delta.text || "" : "" };
+      case "message_delta": {
+        const stop = json.delta?.stop_reason;
+        const out = Number(json.usage?.output_tokens);
+        return {
+          finishReason: stop,
+          usage: Number.isFinite(out) ? { candidatesTokenCount: out } : undefined,
+          blocked: stop === "refusal"
+        };
+      }
+      case "error":
+        return { error: json.error?.message || "Stream error" };
+      default:
+        return {};
+    }
+  },
+
+  isBlocked(json) {
+    return json?.stop_reason === "refusal";
+  },
+
+  diagnostics(json) {
+    return {
+      candidates: Array.isArray(json?.content) && json.content.length > 0 ? 1 : 0,
+      finishReason: json?.stop_reason,
+      blockReason: json?.stop_reason === "refusal" ? "refusal" : undefined,
+      modelVersion: json?.model
+    };
+  },
+
+  normalizeUsage(json) {
+    const u = json?.usage;
+    if (!u) return undefined;
+    // Cached prompt tokens are reported separately by the Messages API.
+    const prompt = (Number(u.input_tokens) || 0)
+      + (Number(u.cache_creation_input_tokens) || 0)
+      + (Number(u.cache_read_input_tokens) || 0);
+    const completion = Number(u.output_tokens) || 0;
+    return { promptTokenCount: prompt, candidatesTokenCount: completion, totalTokenCount: prompt + completion };
+  }
+};
@@ -0,0 +1,40 @@
+// src/shared/providers/azure-openai.js
+//
+// Azure OpenAI deployments. Same Chat Completions body and response as OpenAI, but:
+//   - URL: {endpoint}/openai/deployments/{deployment}/chat/completions?api-version=...
+//   - auth: `api-key` header instead of `Authorization: Bearer`
+// The deployment defaults to the configured model name when the profile does not set one.
+
+import { AZURE_OPENAI, PROVIDERS, STORAGE } from "../constants";
+import { openaiProvider, buildOpenAIBody } from "./openai";
+
+export const azureOpenaiProvider = {
+  ...openaiProvider,
+  id: PROVIDERS.AZURE,
+  label: "Azure OpenAI",
+  defaultModel: AZURE_OPENAI.DEFAULT_MODEL,
+  storage: { apiKey: STORAGE.API_KEY_AZURE, model: STORAGE.AZURE_MODEL },
+  defaultSettings: { apiVersion: AZURE_OPENAI.DEFAULT_API_VERSION },
+  // Deployments are called through Chat Completions, which has no web search tool.
+  webSearch: false,
+
+  validateSettings(settings) {
+    if (!settings?.baseUrl) return "Azure OpenAI endpoint missing (https://<resource>.openai.azure.com)";
+    return null;
+  },
+
+  buildRequest({ model, apiKey, settings, ...params }) {
+    const deployment = settings?.deployment || model;
+    const apiVersion = settings?.apiVersion || AZURE_OPENAI.DEFAULT_API_VERSION;
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers["api-key"] = apiKey;
+    return {
+      url: `${settings?.baseUrl}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+      fetchOptions: {
+        method: "POST",
+        headers: { ...headers, ...(settings?.headers || {}) },
+        body: JSON.stringify(buildOpenAIBody({ model, ...params }))
+      }
+    };
+  }
+};
@@ -0,0 +1,111 @@
+// src/shared/providers/gemini.js
+
+import { GEMINI, PROVIDERS, STORAGE } from "../constants";
+import { normalizeSchema } from "../schema";
+
+function extractText(json) {
+  const candidates = json?.candidates;
+  if (!Array.isArray(candidates) || candidates.length === 0) return { text: "", candidatesCount: 0 };
+
+  const first = candidates[0];
+  const content = first?.content;
+  const parts = Array.isArray(content)
+    ? content.flatMap((c) => (Array.isArray(c?.parts) ? c.parts : [])).filter(Boolean)
+    : (Array.isArray(content?.parts) ? content.parts : []);
+
+  if (!Array.isArray(parts) || parts.length === 0) {
+    return { text: "", candidatesCount: candidates.length, finishReason: first?.finishReason };
+  }
+
+  const rendered = parts
+    .map((p) => {
+      if (typeof p?.text === "string") return p.text;
+      if (p?.functionCall) {
+        const name = p.functionCall.name || "functionCall";
+        const args = p.functionCall.args ? `(${JSON.stringify(p.functionCall.args)})` : "";
+        return `${name}${args}`;
+      }
+      return "";
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  return { text: rendered, candidatesCount: candidates.length, finishReason: first?.finishReason };
+}
+
+function buildBody({ system, user, generationConfig, tools, responseMimeType, responseJsonSchema }) {
+  const body = {
+    systemInstruction: { role: "system", parts: [{ text: system }] },
+    contents: [{ role: "user", parts: [{ text: user }] }],
+    generationConfig: { ...generationConfig }
+  };
+
+  if (Array.isArray(tools) && tools.length > 0) body.tools = tools;
+  if (responseMimeType) body.generationConfig.responseMimeType = responseMimeType;
+  if (responseJsonSchema) body.generationConfig.responseJsonSchema = normalizeSchema(responseJsonSchema, "gemini");
+  return body;
+}
+
+export const geminiProvider = {
+  id: PROVIDERS.GEMINI,
+  label: "Gemini",
+  defaultModel: GEMINI.DEFAULT_MODEL,
+  storage: { apiKey: STORAGE.API_KEY, model: STORAGE.GEMINI_MODEL },
+  costs: { in: 0.10, out: 0.40 },
+  webSearch: true,
+
+  buildRequest({ model, apiKey, settings, stream, ...params }) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers["x-goog-api-key"] = apiKey;
+    const method = stream ? "streamGenerateContent?alt=sse" : "generateContent";
+    return {
+      url: `${settings?.baseUrl || GEMINI.BASE_URL}/models/${encodeURIComponent(model)}:${method}`,
+      fetchOptions: {
+        method: "POST",
+        headers: { ...headers, ...(settings?.headers || {}) },
+        body: JSON.stringify(buildBody(params))
+      }
+    };
+  },
+
+  extractText,
+
+  // Each SSE event is a partial GenerateContentResponse carrying the next text fragment.
+  parseStreamEvent(json) {
+    return {
+      text: extractText(json).text,
+      finishReason: json?.candidates?.[0]?.finishReason,
+      usage: geminiProvider.normalizeUsage(json),
+      blocked: geminiProvider.isBlocked(json)
+    };
+  },
+
+  isBlocked(json) {
+    if (json?.promptFeedback?.blockReason) return true;
+    const finish = json?.candidates?.[0]?.finishReason;
+    return !!finish && String(finish).toUpperCase().includes("SAFETY");
+  },
+
+  diagnostics(json) {
+    return {
+      candidates: Array.isArray(json?.candidates) ? json.candidates.length : 0,
+      finishReason: json?.candidates?.[0]?.finishReason,
+      blockReason: json?.promptFeedback?.blockReason,
+      safety: json?.candidates?.[0]?.safetyRatings,
+      modelVersion: json?.modelVersion
+    };
+  },
+
+  normalizeUsage(json) {
+    const u = json?.usageMetadata;
+    if (!u) return undefined;
+    const prompt = Number(u.promptTokenCount) || 0;
+    const completion = Number(u.candidatesTokenCount) || 0;
+    const total = Number(u.totalTokenCount) || (prompt + completion);
+    return { promptTokenCount: prompt, candidatesTokenCount: completion, totalTokenCount: total };
+  },
+
+  groundingMetadata(json) {
+    return json?.candidates?.[0]?.groundingMetadata || json?.groundingMetadata;
+  }
+};
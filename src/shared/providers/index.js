@@ -0,0 +1,81 @@
+// src/shared/providers/index.js
+//
+// Provider adapter registry. Each backend is described by one adapter object:
+//
+//   id              unique provider id (lowercase), stored in settings and accepted in formula options
+//   label           display name for the taskpane and error messages
+//   defaultModel    model used when neither the formula nor the settings name one
+//   storage         { apiKey, model } storage keys for the per-provider settings
+//   costs           { in, out } approximate USD per million tokens (diagnostics)
+//   defaultSettings (optional) profile defaults, see below
+//   validateSettings(settings) (optional) -> error message when the profile cannot be used as is
+//   buildRequest({ model, apiKey, settings, system, user, generationConfig, tools, responseMimeType, responseJsonSchema, stream })
+//                   -> { url, fetchOptions }; responseJsonSchema is provider-neutral, adapters with a native
+//                   schema mode pass it through normalizeSchema() (schema.js) with their dialect
+//   extractText(json)     -> { text, candidatesCount, finishReason }
+//   isBlocked(json)       -> true when the provider refused to answer (safety / content filter)
+//   diagnostics(json)     -> { candidates, finishReason, blockReason, safety?, modelVersion? }
+//   normalizeUsage(json)  -> { promptTokenCount, candidatesTokenCount, totalTokenCount } | undefined
+//   groundingMetadata(json) (optional) -> Gemini-style grounding metadata
+//   webSearch       (optional) true when buildRequest turns the Gemini-style { googleSearch: {} } tool into a
+//                   real web search (AI.WEB); requests with that tool fail with #AI_NO_SEARCH on other providers
+//   parseStreamEvent(json) (optional) -> { text, finishReason, usage, blocked, error } for one SSE event of a
+//                   request built with `stream: true`; adapters without it are served by a single non-streamed call
+//
+// Every provider also has a profile edited in the taskpane (see getProviderSettings in storage.js):
+//   { baseUrl, headers, noApiKey } — base URL override, extra HTTP headers, and "no API key required" mode,
+//   plus { apiVersion, deployment } used by the Azure OpenAI adapter.
+//   { rpm, tpm, maxConcurrent } are request pacing budgets, applied by geminiGenerate (see ratelimit.js).
+// `apiKey` is an empty string when the profile runs without a key; adapters must then omit the auth header.
+//
+// Adding a backend = writing one adapter module and calling registerProvider() with it.
+
+import { DEFAULTS } from "../constants";
+import { geminiProvider } from "./gemini";
+import { openaiProvider } from "./openai";
+import { anthropicProvider } from "./anthropic";
+import { openaiCompatibleProvider } from "./openai-compatible";
+import { azureOpenaiProvider } from "./azure-openai";
+
+const REQUIRED_METHODS = ["buildRequest", "extractText", "isBlocked", "diagnostics", "normalizeUsage"];
+
+const registry = new Map();
+
+export function registerProvider(adapter) {
+  const id = String(adapter?.id || "").trim().toLowerCase();
+  if (!id) throw new Error("Provider adapter requires an id");
+  for (const m of REQUIRED_METHODS) {
+    if (typeof adapter[m] !== "function") throw new Error(`Provider adapter "${id}" is missing ${m}()`);
+  }
+  if (!adapter.storage?.apiKey || !adapter.storage?.model) {
+    throw new Error(`Provider adapter "${id}" is missing storage keys`);
+  }
+  registry.set(id, { ...adapter, id, label: adapter.label || id });
+  return registry.get(id);
+}
+
+export function getProviderAdapter(id) {
+  return registry.get(String(id || "").trim().toLowerCase());
+}
+
+export function isRegisteredProvider(id) {
+  return !!getProviderAdapter(id);
+}
+
+/**
+ * Returns the registered id matching `p` (case-insensitive), or `fallback` when unknown.
+ */
+export function resolveProviderId(p, fallback = DEFAULTS.provider) {
+  const adapter = getProviderAdapter(p);
+  return adapter ? adapter.id : fallback;
+}
+
+export function listProviders() {
+  return Array.from(registry.values());
+}
+
+registerProvider(geminiProvider);
+registerProvider(openaiProvider);
+registerProvider(anthropicProvider);
+registerProvider(openaiCompatibleProvider);
+registerProvider(azureOpenaiProvider);
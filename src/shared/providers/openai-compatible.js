@@ -0,0 +1,27 @@
+// src/shared/providers/openai-compatible.js
+//
+// Self-hosted or proxied servers speaking the OpenAI Chat Completions API (Ollama, vLLM, LM Studio,
+// corporate gateways, local stand-in servers for development). The base URL comes from the provider profile.
+
+import { CUSTOM_OPENAI, PROVIDERS, STORAGE } from "../constants";
+import { openaiProvider } from "./openai";
+
+export const openaiCompatibleProvider = {
+  ...openaiProvider,
+  id: PROVIDERS.CUSTOM,
+  label: "OpenAI-compatible",
+  defaultModel: CUSTOM_OPENAI.DEFAULT_MODEL,
+  storage: { apiKey: STORAGE.API_KEY_CUSTOM, model: STORAGE.CUSTOM_MODEL },
+  // Local servers are free; gateways can be tracked by overriding this adapter.
+  costs: { in: 0, out: 0 },
+  defaultSettings: { baseUrl: CUSTOM_OPENAI.DEFAULT_BASE_URL, noApiKey: true },
+  // No Responses API web search on these servers.
+  webSearch: false,
+
+  buildRequest({ settings, ...params }) {
+    return openaiProvider.buildRequest({
+      ...params,
+      settings: { ...settings, baseUrl: settings?.baseUrl || CUSTOM_OPENAI.DEFAULT_BASE_URL }
+    });
+  }
+};
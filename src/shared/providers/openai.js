@@ -0,0 +1,243 @@
+// src/shared/providers/openai.js
+//
+// OpenAI Chat Completions. Requests carrying the Gemini-style { googleSearch: {} } tool (AI.WEB) go to the
+// Responses API instead, with its `web_search` tool: Chat Completions only searches with dedicated models.
+// The url_citation annotations of the answer are mapped onto Gemini-style grounding metadata.
+
+import { OPENAI, PROVIDERS, STORAGE } from "../constants";
+import { normalizeSchema } from "../schema";
+
+// --- Responses API (web search) ---
+
+function isResponsesJson(json) {
+  return json?.object === "response" || Array.isArray(json?.output);
+}
+
+function responseMessages(json) {
+  return (Array.isArray(json?.output) ? json.output : []).filter((item) => item?.type === "message");
+}
+
+function responseTextParts(json) {
+  const parts = [];
+  for (const message of responseMessages(json)) {
+    for (const c of Array.isArray(message.content) ? message.content : []) {
+      if (c?.type === "output_text" && typeof c.text === "string") parts.push(c);
+    }
+  }
+  return parts;
+}
+
+// "incomplete" answers carry their reason ("max_output_tokens", "content_filter").
+function responseFinishReason(json) {
+  if (json?.status === "incomplete") return json?.incomplete_details?.reason || "incomplete";
+  return json?.status;
+}
+
+function wantsWebSearch(tools) {
+  return Array.isArray(tools) && tools.some((t) => t && t.googleSearch);
+}
+
+function buildResponsesBody({ model, system, user, generationConfig }) {
+  const body = {
+    model,
+    input: user,
+    tools: [{ type: "web_search" }],
+    temperature: generationConfig.temperature,
+    max_output_tokens: generationConfig.maxOutputTokens
+  };
+  if (system) body.instructions = system;
+  if (generationConfig.topP !== undefined) body.top_p = generationConfig.topP;
+  // No JSON mode here: the prompt asks for the JSON and the answer keeps its inline citations.
+  return body;
+}
+
+// The sentence a citation closes: from the previous sentence end (or JSON quote) up to the citation.
+function citedSentence(text, start) {
+  const before = text.slice(0, Math.max(0, start));
+  const from = Math.max(before.lastIndexOf(". "), before.lastIndexOf("\n"), before.lastIndexOf("\"")) + 1;
+  return before.slice(from).replace(/[\s(]+$/, "").trim();
+}
+
+/**
+ * url_citation annotations -> { groundingChunks: [{ web: { uri, title } }], groundingSupports: [{ segment: { text },
+ * groundingChunkIndices }] }, the shape Gemini returns for its Google Search grounding. Null without citation.
+ */
+function responsesGrounding(json) {
+  const chunks = [];
+  const supports = [];
+  const index = new Map();
+  for (const part of responseTextParts(json)) {
+    for (const a of Array.isArray(part.annotations) ? part.annotations : []) {
+      if (a?.type !== "url_citation" || !a.url) continue;
+      if (!index.has(a.url)) {
+        index.set(a.url, chunks.length);
+        chunks.push({ web: { uri: a.url, title: a.title || "" } });
+      }
+      const text = citedSentence(part.text, a.start_index);
+      supports.push({ segment: { text }, groundingChunkIndices: [index.get(a.url)] });
+    }
+  }
+  return chunks.length ? { groundingChunks: chunks, groundingSupports: supports } : null;
+}
+
+// --- Chat Completions ---
+
+function extractText(json) {
+  if (isResponsesJson(json)) {
+    const text = responseTextParts(json).map((c) => c.text).filter(Boolean).join("\n");
+    return { text, candidatesCount: responseMessages(json).length, finishReason: responseFinishReason(json) };
+  }
+
+  const choices = json?.choices;
+  if (!Array.isArray(choices) || choices.length === 0) return { text: "", candidatesCount: 0 };
+
+  const first = choices[0];
+  const finishReason = first?.finish_reason || first?.finishReason;
+  const message = first?.message || {};
+  const parts = [];
+
+  const content = message.content;
+  if (typeof content === "string") {
+    parts.push(content);
+  } else if (Array.isArray(content)) {
+    for (const c of content) {
+      if (typeof c?.text === "string") parts.push(c.text);
+      else if (typeof c?.content === "string") parts.push(c.content);
+      else if (typeof c?.value === "string") parts.push(c.value);
+    }
+  }
+
+  if (Array.isArray(message.tool_calls)) {
+    for (const tc of message.tool_calls) {
+      const name = tc?.function?.name || tc?.type || "tool";
+      const args = tc?.function?.arguments || "";
+      parts.push(`${name}(${args})`);
+    }
+  }
+
+  const rendered = parts.filter(Boolean).join("\n");
+  return { text: rendered, candidatesCount: choices.length, finishReason };
+}
+
+function finishReasonOf(json) {
+  if (isResponsesJson(json)) return responseFinishReason(json);
+  return json?.choices?.[0]?.finish_reason || json?.choices?.[0]?.finishReason;
+}
+
+export function normalizeToolsForOpenAI(tools) {
+  if (!Array.isArray(tools)) return [];
+  const out = [];
+  for (const t of tools) {
+    if (!t) continue;
+    if (t.type === "function" && t.function && t.function.name) {
+      out.push({ type: "function", function: t.function });
+      continue;
+    }
+    if (Array.isArray(t.functionDeclarations)) {
+      for (const fn of t.functionDeclarations) {
+        if (fn && fn.name) out.push({ type: "function", function: { name: fn.name, description: fn.description, parameters: fn.parameters } });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Chat Completions body, shared by every OpenAI-compatible adapter.
+ */
+export function buildOpenAIBody({ model, system, user, generationConfig, tools, responseMimeType, responseJsonSchema, stream }) {
+  const body = {
+    model,
+    messages: [],
+    temperature: generationConfig.temperature
+  };
+  if (system) body.messages.push({ role: "system", content: system });
+  body.messages.push({ role: "user", content: user });
+  body.max_tokens = generationConfig.maxOutputTokens;
+
+  const converted = normalizeToolsForOpenAI(tools);
+  if (converted.length > 0) body.tools = converted;
+
+  if (generationConfig.topP !== undefined) body.top_p = generationConfig.topP;
+  if (generationConfig.stopSequences !== undefined) body.stop = generationConfig.stopSequences;
+
+  if (responseJsonSchema) {
+    body.response_format = { type: "json_schema", json_schema: { name: "schema", schema: normalizeSchema(responseJsonSchema, "openai"), strict: true } };
+  } else if (responseMimeType === "application/json") {
+    body.response_format = { type: "json_object" };
+  }
+
+  if (stream) {
+    body.stream = true;
+    // Token usage only comes in a final chunk when asked for.
+    body.stream_options = { include_usage: true };
+  }
+  return body;
+}
+
+export const openaiProvider = {
+  id: PROVIDERS.OPENAI,
+  label: "OpenAI",
+  defaultModel: OPENAI.DEFAULT_MODEL,
+  storage: { apiKey: STORAGE.API_KEY_OPENAI, model: STORAGE.OPENAI_MODEL },
+  costs: { in: 0.15, out: 0.60 },
+  webSearch: true,
+
+  buildRequest({ apiKey, settings, ...params }) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+    const search = wantsWebSearch(params.tools) && !params.stream;
+    return {
+      url: `${settings?.baseUrl || OPENAI.BASE_URL}/${search ? "responses" : "chat/completions"}`,
+      fetchOptions: {
+        method: "POST",
+        headers: { ...headers, ...(settings?.headers || {}) },
+        body: JSON.stringify(search ? buildResponsesBody(params) : buildOpenAIBody(params))
+      }
+    };
+  },
+
+  extractText,
+
+  parseStreamEvent(json) {
+    const finishReason = finishReasonOf(json);
+    const delta = json?.choices?.[0]?.delta?.content;
+    return {
+      text: typeof delta === "string" ? delta : "",
+      finishReason,
+      usage: openaiProvider.normalizeUsage(json),
+      blocked: finishReason === "content_filter",
+      error: json?.error?.message
+    };
+  },
+
+  isBlocked(json) {
+    const finish = finishReasonOf(json);
+    if (!finish) return false;
+    return String(finish).toLowerCase().includes("content_filter");
+  },
+
+  diagnostics(json) {
+    const finishReason = finishReasonOf(json);
+    return {
+      candidates: isResponsesJson(json) ? responseMessages(json).length : Array.isArray(json?.choices) ? json.choices.length : 0,
+      finishReason,
+      blockReason: finishReason === "content_filter" ? "content_filter" : undefined,
+      modelVersion: json?.model
+    };
+  },
+
+  normalizeUsage(json) {
+    const u = json?.usage;
+    if (!u) return undefined;
+    // Chat Completions: prompt_tokens / completion_tokens; Responses API: input_tokens / output_tokens.
+    const prompt = Number(u.prompt_tokens ?? u.input_tokens) || 0;
+    const completion = Number(u.completion_tokens ?? u.output_tokens) || 0;
+    const total = Number(u.total_tokens) || (prompt + completion);
+    return { promptTokenCount: prompt, candidatesTokenCount: completion, totalTokenCount: total };
+  },
+
+  groundingMetadata(json) {
+    return isResponsesJson(json) ? responsesGrounding(json) : undefined;
+  }
+};
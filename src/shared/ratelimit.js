@@ -0,0 +1,309 @@
+// src/shared/ratelimit.js
+//
+// Request pacing, per provider:
+//   - Semaphore: concurrent HTTP calls (profile `maxConcurrent`, default LIMITS.MAX_CONCURRENT_REQUESTS).
+//   - Token buckets per provider + model for requests/minute and tokens/minute (profile `rpm` / `tpm`,
+//     or the limits the server advertises in its rate-limit headers when the profile sets none).
+//   - Server hints (Retry-After, x-ratelimit-*, anthropic-ratelimit-*, Gemini RetryInfo) pause a key
+//     until its quota resets, so queued requests wait instead of failing with 429.
+
+import { LIMITS } from "./constants";
+import { getSharedState } from "./diagnostics";
+
+const MINUTE_MS = 60000;
+
+export function abortError() {
+  const e = new Error("canceled");
+  e.name = "AbortError";
+  return e;
+}
+
+export class Semaphore {
+  constructor(max) { this.max = max; this.current = 0; this.queue = []; }
+  // Resolves with the release function (safe to call twice). Rejects with an AbortError when `signal`
+  // aborts while waiting; the slot is never taken.
+  acquire(signal) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    if (this.current < this.max) { this.current++; return Promise.resolve(this._slot()); }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const i = this.queue.indexOf(waiter);
+        if (i >= 0) this.queue.splice(i, 1);
+        reject(abortError());
+      };
+      const waiter = () => {
+        signal?.removeEventListener("abort", onAbort);
+        this.current++;
+        resolve(this._slot());
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+  _slot() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this._release();
+    };
+  }
+  resize(max) {
+    this.max = max;
+    this._drain();
+  }
+  _release() {
+    this.current = Math.max(0, this.current - 1);
+    this._drain();
+  }
+  _drain() {
+    while (this.current < this.max && this.queue.length) this.queue.shift()();
+  }
+}
+
+class Bucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.level = perMinute;
+    this.updatedAt = Date.now();
+  }
+  setRate(perMinute) {
+    if (perMinute === this.capacity) return;
+    this.refill();
+    this.capacity = perMinute;
+    this.level = Math.min(this.level, perMinute);
+  }
+  refill(now = Date.now()) {
+    this.level = Math.min(this.capacity, this.level + (now - this.updatedAt) * this.capacity / MINUTE_MS);
+    this.updatedAt = now;
+  }
+  // Milliseconds until `amount` is available; an amount above the capacity waits for a full bucket.
+  delayFor(amount, now = Date.now()) {
+    this.refill(now);
+    const need = Math.min(amount, this.capacity) - this.level;
+    return need <= 0 ? 0 : Math.ceil(need * MINUTE_MS / this.capacity);
+  }
+  take(amount) { this.level -= amount; }
+  give(amount) { this.level = Math.min(this.capacity, this.level + amount); }
+}
+
+function positive(n) {
+  const v = Math.floor(Number(n));
+  return Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+function getState() {
+  const st = getSharedState() || {};
+  st.rateLimits = st.rateLimits || new Map();
+  st.semaphores = st.semaphores || new Map();
+  return st;
+}
+const ST = getState();
+
+function limiterFor(key) {
+  let l = ST.rateLimits.get(key);
+  if (!l) {
+    l = { requests: null, tokens: null, learned: { rpm: 0, tpm: 0 }, pausedUntil: 0, strikes: 0, queue: [], turn: null, advance: null };
+    ST.rateLimits.set(key, l);
+  }
+  return l;
+}
+
+function configure(l, rpm, tpm) {
+  const r = positive(rpm) || l.learned.rpm;
+  const t = positive(tpm) || l.learned.tpm;
+  if (r) { if (l.requests) l.requests.setRate(r); else l.requests = new Bucket(r); } else l.requests = null;
+  if (t) { if (l.tokens) l.tokens.setRate(t); else l.tokens = new Bucket(t); } else l.tokens = null;
+}
+
+function pause(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    };
+    const t = setTimeout(done, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Resolves when the head of the queue leaves.
+function waitTurn(l, signal) {
+  if (!l.turn) l.turn = new Promise((resolve) => { l.advance = resolve; });
+  if (!signal) return l.turn;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener("abort", onAbort, { once: true });
+    l.turn.then(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    });
+  });
+}
+
+function leave(l, me) {
+  const i = l.queue.indexOf(me);
+  if (i >= 0) l.queue.splice(i, 1);
+  if (i === 0 && l.advance) {
+    l.advance();
+    l.turn = null;
+    l.advance = null;
+  }
+}
+
+export class RateLimitWaitError extends Error {
+  constructor(waitMs) {
+    super(`Rate limited (retry in ${Math.ceil(waitMs / 1000)}s)`);
+    this.name = "RateLimitWaitError";
+    this.waitMs = waitMs;
+  }
+}
+
+/**
+ * Concurrency slot of a provider, sized from its profile.
+ */
+export function providerSemaphore(provider, maxConcurrent) {
+  const max = positive(maxConcurrent) || LIMITS.MAX_CONCURRENT_REQUESTS;
+  let sem = ST.semaphores.get(provider);
+  if (!sem) {
+    sem = new Semaphore(max);
+    ST.semaphores.set(provider, sem);
+  } else if (sem.max !== max) {
+    sem.resize(max);
+  }
+  return sem;
+}
+
+/**
+ * Waits (FIFO per key) until one request and `tokens` tokens fit in the budgets and no server pause is active.
+ * Pacing waits are unbounded; a server pause longer than `maxPauseMs` (e.g. exhausted daily quota) throws
+ * RateLimitWaitError instead. Throws an AbortError when `signal` aborts.
+ * Returns a ticket whose settle(actualTokens) trues up the token reservation.
+ */
+export async function acquireRate(key, { rpm, tpm, tokens = 0, maxPauseMs = LIMITS.MAX_RATE_PAUSE_MS, signal } = {}) {
+  const l = limiterFor(key);
+  const me = {};
+  l.queue.push(me);
+  try {
+    for (;;) {
+      if (signal?.aborted) throw abortError();
+      if (l.queue[0] !== me) {
+        await waitTurn(l, signal);
+        continue;
+      }
+      configure(l, rpm, tpm);
+      const now = Date.now();
+      const paused = l.pausedUntil - now;
+      if (paused > maxPauseMs) throw new RateLimitWaitError(paused);
+      const wait = Math.max(paused, l.requests ? l.requests.delayFor(1, now) : 0, l.tokens ? l.tokens.delayFor(tokens, now) : 0);
+      if (wait <= 0) break;
+      await pause(wait, signal);
+    }
+    if (l.requests) l.requests.take(1);
+    if (l.tokens) l.tokens.take(tokens);
+  } finally {
+    leave(l, me);
+  }
+
+  const bucket = l.tokens;
+  let settled = false;
+  return {
+    settle(actualTokens) {
+      if (settled || !bucket) return;
+      settled = true;
+      const actual = Number.isFinite(actualTokens) ? actualTokens : tokens;
+      if (actual < tokens) bucket.give(tokens - actual);
+      else bucket.take(actual - tokens);
+    }
+  };
+}
+
+// "1s", "6m0s", "20ms", "1.5s" (OpenAI), bare seconds (Retry-After), RFC 3339 / HTTP dates (Anthropic, Retry-After).
+export function parseDelayMs(value, now = Date.now()) {
+  if (value === null || value === undefined) return null;
+  const s = String(value).trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s) * 1000);
+
+  const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const unit = { ms: 1, s: 1000, m: MINUTE_MS, h: 60 * MINUTE_MS };
+  let total = 0;
+  let matched = "";
+  let m;
+  while ((m = re.exec(s))) {
+    total += Number(m[1]) * unit[m[2]];
+    matched += m[0];
+  }
+  if (matched === s) return Math.round(total);
+
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? Math.max(0, t - now) : null;
+}
+
+function header(headers, name) {
+  try {
+    return headers && typeof headers.get === "function" ? headers.get(name) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Gemini reports the delay in the error body: error.details[{ "@type": ".../google.rpc.RetryInfo", retryDelay: "37s" }].
+function bodyRetryDelay(body) {
+  const details = body?.error?.details;
+  if (!Array.isArray(details)) return null;
+  for (const d of details) {
+    if (d?.retryDelay) return parseDelayMs(d.retryDelay);
+  }
+  return null;
+}
+
+const QUOTA_HEADERS = [
+  // [remaining, reset, limit, budget]
+  ["x-ratelimit-remaining-requests", "x-ratelimit-reset-requests", "x-ratelimit-limit-requests", "rpm"],
+  ["x-ratelimit-remaining-tokens", "x-ratelimit-reset-tokens", "x-ratelimit-limit-tokens", "tpm"],
+  ["anthropic-ratelimit-requests-remaining", "anthropic-ratelimit-requests-reset", "anthropic-ratelimit-requests-limit", "rpm"],
+  ["anthropic-ratelimit-tokens-remaining", "anthropic-ratelimit-tokens-reset", "anthropic-ratelimit-tokens-limit", "tpm"]
+];
+
+/**
+ * Records what a response says about the quota of `key`. Returns the pause (ms) now applied to the key,
+ * 0 when requests may continue immediately.
+ */
+export function noteRateLimit(key, { status = 0, headers, body } = {}) {
+  const l = limiterFor(key);
+  const now = Date.now();
+  let pauseMs = 0;
+
+  for (const [remaining, reset, limit, budget] of QUOTA_HEADERS) {
+    const lim = positive(header(headers, limit));
+    if (lim) l.learned[budget] = lim;
+    const rem = header(headers, remaining);
+    if (rem !== null && Number(rem) <= 0) pauseMs = Math.max(pauseMs, parseDelayMs(header(headers, reset), now) || 0);
+  }
+
+  if (status === 429) {
+    l.strikes++;
+    const ms = Number(header(headers, "retry-after-ms"));
+    const hinted = ms > 0 ? ms : (parseDelayMs(header(headers, "retry-after"), now) ?? bodyRetryDelay(body));
+    // Without a hint: 1s, 2s, 4s... capped at a minute.
+    pauseMs = Math.max(pauseMs, hinted ?? Math.min(MINUTE_MS, 1000 * Math.pow(2, l.strikes - 1)));
+  } else if (status > 0 && status < 400) {
+    l.strikes = 0;
+  }
+
+  if (pauseMs > 0) l.pausedUntil = Math.max(l.pausedUntil, now + pauseMs);
+  return pauseMs;
+}
+
+/**
+ * Rough token count used to reserve tokens/minute budget before the provider reports the real usage.
+ */
+export function estimateTokens({ system, user, generationConfig } = {}) {
+  const chars = String(system || "").length + String(user || "").length;
+  return Math.ceil(chars / 4) + (Number(generationConfig?.maxOutputTokens) || 0);
+}
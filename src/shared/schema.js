@@ -0,0 +1,211 @@
+// src/shared/schema.js
+//
+// JSON schemas for structured outputs, and their normalization per provider:
+//   - "openai": strict mode (Chat Completions `response_format: json_schema`, strict: true) requires
+//     `additionalProperties: false` and every property listed in `required` on every object;
+//     optional properties become nullable instead.
+//   - "gemini": `generationConfig.responseJsonSchema` accepts a subset of JSON Schema; other keywords are dropped.
+// Functions write one plain schema; adapters call normalizeSchema() with their dialect in buildRequest().
+
+const GEMINI_KEYWORDS = new Set([
+  "$id", "$defs", "$ref", "$anchor", "type", "format", "title", "description", "enum", "items", "prefixItems",
+  "minItems", "maxItems", "minimum", "maximum", "anyOf", "oneOf", "properties", "additionalProperties", "required"
+]);
+
+// Keywords that only mean something to another dialect (or to no provider at all).
+const OPENAI_DROPPED = new Set(["$schema", "nullable", "propertyOrdering", "strict"]);
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function withNull(type) {
+  if (Array.isArray(type)) return type.includes("null") ? type : [...type, "null"];
+  return type ? [type, "null"] : type;
+}
+
+function normalizeOpenAI(schema, optional) {
+  if (!isPlainObject(schema)) return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (OPENAI_DROPPED.has(k)) continue;
+    if (k === "properties" && isPlainObject(v)) {
+      const required = new Set(Array.isArray(schema.required) ? schema.required : Object.keys(v));
+      out.properties = {};
+      for (const [name, sub] of Object.entries(v)) out.properties[name] = normalizeOpenAI(sub, !required.has(name));
+    } else if (k === "items" || k === "additionalProperties") {
+      out[k] = isPlainObject(v) ? normalizeOpenAI(v, false) : v;
+    } else if (k === "anyOf" || k === "prefixItems") {
+      out[k] = Array.isArray(v) ? v.map((s) => normalizeOpenAI(s, false)) : v;
+    } else if (k === "$defs" && isPlainObject(v)) {
+      out.$defs = Object.fromEntries(Object.entries(v).map(([name, s]) => [name, normalizeOpenAI(s, false)]));
+    } else {
+      out[k] = v;
+    }
+  }
+
+  if (out.type === "object" || out.properties) {
+    out.properties = out.properties || {};
+    out.required = Object.keys(out.properties);
+    out.additionalProperties = false;
+  }
+  if (optional || schema.nullable === true) out.type = withNull(out.type);
+  return out;
+}
+
+function normalizeGemini(schema) {
+  if (!isPlainObject(schema)) return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === "const") {
+      out.enum = [v];
+    } else if (!GEMINI_KEYWORDS.has(k)) {
+      continue;
+    } else if (k === "properties" || k === "$defs") {
+      out[k] = isPlainObject(v) ? Object.fromEntries(Object.entries(v).map(([name, s]) => [name, normalizeGemini(s)])) : v;
+    } else if (k === "items" || k === "additionalProperties") {
+      out[k] = isPlainObject(v) ? normalizeGemini(v) : v;
+    } else if (k === "anyOf" || k === "oneOf" || k === "prefixItems") {
+      out[k] = Array.isArray(v) ? v.map(normalizeGemini) : v;
+    } else {
+      out[k] = v;
+    }
+  }
+  if (schema.nullable === true) out.type = withNull(out.type);
+  // enum is only accepted on strings and numbers.
+  if (out.enum && ![].concat(out.type || "string").some((t) => t === "string" || t === "number" || t === "integer")) delete out.enum;
+  return out;
+}
+
+/**
+ * Returns a copy of `schema` valid under the rules of `dialect` ("openai" | "gemini").
+ * Unknown dialects get the schema unchanged.
+ */
+export function normalizeSchema(schema, dialect) {
+  if (!isPlainObject(schema)) return schema;
+  if (dialect === "openai") return normalizeOpenAI(schema, false);
+  if (dialect === "gemini") return normalizeGemini(schema);
+  return schema;
+}
+
+// ---------- schemas of the Excel functions ----------
+
+function fixedArray(items, n) {
+  const out = { type: "array", items };
+  if (Number.isFinite(n) && n > 0) {
+    out.minItems = n;
+    out.maxItems = n;
+  }
+  return out;
+}
+
+/**
+ * Batch answer: { "items": [{ "i": 1, "v": ... }, ...] } with exactly n items.
+ * `value` is the schema of one result (string by default).
+ */
+export function batchItemsSchema(n, value = { type: "string" }) {
+  return {
+    type: "object",
+    properties: {
+      items: fixedArray({
+        type: "object",
+        properties: {
+          i: { type: "integer", minimum: 1, maximum: n },
+          v: value
+        },
+        required: ["i", "v"],
+        additionalProperties: false
+      }, n)
+    },
+    required: ["items"],
+    additionalProperties: false
+  };
+}
+
+/**
+ * One string per label, plus UNKNOWN.
+ */
+export function labelSchema(labels) {
+  return { type: "string", enum: Array.from(new Set([...labels, "UNKNOWN"])) };
+}
+
+/**
+ * AI.CLASSIFY with confidence: { label, confidence } with confidence between 0 and 1.
+ */
+export function classificationSchema(labels) {
+  return {
+    type: "object",
+    properties: {
+      label: labelSchema(labels),
+      confidence: { type: "number", minimum: 0, maximum: 1 }
+    },
+    required: ["label", "confidence"],
+    additionalProperties: false
+  };
+}
+
+/**
+ * AI.TAG: zero or more distinct labels.
+ */
+export function tagListSchema(labels) {
+  return { type: "array", items: { type: "string", enum: Array.from(new Set(labels)) } };
+}
+
+/**
+ * AI.EXTRACT_FIELDS: one key per field, null when the text does not give it.
+ * `types` maps a field to "number", "boolean" or "date" (an ISO "YYYY-MM-DD" string); other fields are strings.
+ */
+export function fieldsSchema(fields, types = {}) {
+  const properties = {};
+  for (const f of fields) {
+    const t = types[f];
+    if (t === "number" || t === "boolean") properties[f] = { type: t, nullable: true };
+    else if (t === "date") properties[f] = { type: "string", format: "date", nullable: true };
+    else properties[f] = { type: "string", nullable: true };
+  }
+  return { type: "object", properties, required: fields.slice(), additionalProperties: false };
+}
+
+/**
+ * AI.EXPLAIN_FORMULA with simplify: the explanation and an equivalent formula ("" when none is simpler).
+ */
+export function formulaRewriteSchema() {
+  return {
+    type: "object",
+    properties: {
+      explanation: { type: "string" },
+      formula: { type: "string" }
+    },
+    required: ["explanation", "formula"],
+    additionalProperties: false
+  };
+}
+
+/**
+ * { [key]: [string] }, exactly n strings when n is given.
+ */
+export function stringListSchema(key, n) {
+  return {
+    type: "object",
+    properties: { [key]: fixedArray({ type: "string" }, n) },
+    required: [key],
+    additionalProperties: false
+  };
+}
+
+/**
+ * AI.TABLE: { headers: [string], rows: [[string]] }; rows have one cell per header when the headers are known.
+ */
+export function tableSchema({ columns, maxRows } = {}) {
+  const rows = { type: "array", items: fixedArray({ type: "string" }, columns) };
+  if (Number.isFinite(maxRows) && maxRows > 0) rows.maxItems = maxRows;
+  return {
+    type: "object",
+    properties: {
+      headers: fixedArray({ type: "string" }, columns),
+      rows
+    },
+    required: ["headers", "rows"],
+    additionalProperties: false
+  };
+}
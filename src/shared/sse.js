@@ -0,0 +1,68 @@
+// src/shared/sse.js
+//
+// Minimal Server-Sent Events reader for streamed model responses (Gemini `alt=sse`,
+// OpenAI / Anthropic `stream: true`). Only the `event` and `data` fields are used.
+
+export function createSseParser(onEvent) {
+  let buffer = "";
+  let event = "";
+  let data = [];
+
+  const dispatch = () => {
+    if (data.length) onEvent({ event: event || "message", data: data.join("\n") });
+    event = "";
+    data = [];
+  };
+
+  const feedLine = (raw) => {
+    const line = raw.endsWith("\r") ? raw.slice(0, -1) : raw;
+    if (line === "") return dispatch();
+    if (line.startsWith(":")) return; // comment / keep-alive
+    const i = line.indexOf(":");
+    const field = i < 0 ? line : line.slice(0, i);
+    let value = i < 0 ? "" : line.slice(i + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    if (field === "data") data.push(value);
+    else if (field === "event") event = value;
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach(feedLine);
+    },
+    end() {
+      if (buffer) feedLine(buffer);
+      buffer = "";
+      dispatch();
+    }
+  };
+}
+
+/**
+ * Reads an SSE response body to the end, calling onEvent({ event, data }) per event
+ * and onChunk() whenever bytes arrive (used to keep idle timeouts alive).
+ */
+export async function readSseStream(resp, onEvent, onChunk) {
+  const parser = createSseParser(onEvent);
+  const reader = resp?.body && typeof resp.body.getReader === "function" ? resp.body.getReader() : null;
+
+  // Runtimes without readable streams get the whole body at once.
+  if (!reader) {
+    parser.push(await resp.text());
+    parser.end();
+    return;
+  }
+
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (onChunk) onChunk();
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.end();
+}
@@ -1,5 +1,6 @@
-import { STORAGE, TOKEN_LIMITS, PROVIDERS, DEFAULTS } from "./constants";
+import { STORAGE, TOKEN_LIMITS, DEFAULTS } from "./constants";
 import { diagSet } from "./diagnostics";
+import { getProviderAdapter, isRegisteredProvider, resolveProviderId } from "./providers";
 
 let _officeReadyPromise = null;
 
@@ -63,19 +64,24 @@ export async function removeItem(key) {
   if (b === "local") localStorage.removeItem(key);
 }
 
-const API_KEYS = {
-  [PROVIDERS.GEMINI]: {
-    storageKey: STORAGE.API_KEY,
-    state: { loaded: false, value: "", promise: null }
-  },
-  [PROVIDERS.OPENAI]: {
-    storageKey: STORAGE.API_KEY_OPENAI,
-    state: { loaded: false, value: "", promise: null }
-  }
-};
+// Per-provider settings state, created on first use for every registered adapter.
+const API_KEYS = {};
+
+function requireAdapter(provider) {
+  const adapter = getProviderAdapter(provider);
+  if (!adapter) throw new Error(`Unknown provider: ${provider}`);
+  return adapter;
+}
 
-function normProvider(p) {
-  return p === PROVIDERS.OPENAI ? PROVIDERS.OPENAI : PROVIDERS.GEMINI;
+function apiKeyEntry(provider) {
+  const adapter = requireAdapter(provider);
+  if (!API_KEYS[adapter.id]) {
+    API_KEYS[adapter.id] = {
+      storageKey: adapter.storage.apiKey,
+      state: { loaded: false, value: "", promise: null }
+    };
+  }
+  return API_KEYS[adapter.id];
 }
 
 async function readString(storageKey) {
@@ -83,9 +89,8 @@ async function readString(storageKey) {
   return typeof v === "string" ? v : String(v || "");
 }
 
-export async function getApiKey(provider = PROVIDERS.GEMINI) {
-  const p = normProvider(provider);
-  const { storageKey, state } = API_KEYS[p];
+export async function getApiKey(provider = DEFAULTS.provider) {
+  const { storageKey, state } = apiKeyEntry(provider);
 
   if (state.loaded) return state.value;
   if (state.promise) return await state.promise;
@@ -102,8 +107,7 @@ export async function getApiKey(provider = PROVIDERS.GEMINI) {
 }
 
 export async function setApiKey(provider, apiKey) {
-  const p = normProvider(provider);
-  const { storageKey, state } = API_KEYS[p];
+  const { storageKey, state } = apiKeyEntry(provider);
   const key = (apiKey || "").trim();
 
   state.value = key;
@@ -115,9 +119,8 @@ export async function setApiKey(provider, apiKey) {
   return true;
 }
 
-export async function clearApiKey(provider = PROVIDERS.GEMINI) {
-  const p = normProvider(provider);
-  const { storageKey, state } = API_KEYS[p];
+export async function clearApiKey(provider = DEFAULTS.provider) {
+  const { storageKey, state } = apiKeyEntry(provider);
 
   state.value = "";
   state.loaded = true;
@@ -180,7 +183,8 @@ export async function getProvider() {
   _providerLoadPromise = (async () => {
     const v = await getItem(STORAGE.PROVIDER);
     const val = typeof v === "string" ? v.trim().toLowerCase() : "";
-    _providerValue = val === PROVIDERS.OPENAI ? PROVIDERS.OPENAI : PROVIDERS.GEMINI;
+    // A provider stored by a build that registered more adapters falls back to the default.
+    _providerValue = resolveProviderId(val);
     _providerLoaded = true;
     _providerLoadPromise = null;
     return _providerValue;
@@ -190,7 +194,7 @@ export async function getProvider() {
 }
 
 export async function setProvider(provider) {
-  const p = normProvider(provider);
+  const p = requireAdapter(provider).id;
   _providerValue = p;
   _providerLoaded = true;
   _providerLoadPromise = null;
@@ -199,23 +203,26 @@ export async function setProvider(provider) {
 }
 
 // Model preferences ---------------------------------------------------
-const MODEL_KEYS = {
-  [PROVIDERS.GEMINI]: STORAGE.GEMINI_MODEL,
-  [PROVIDERS.OPENAI]: STORAGE.OPENAI_MODEL
-};
-const modelState = {
-  [PROVIDERS.GEMINI]: { loaded: false, value: "", promise: null },
-  [PROVIDERS.OPENAI]: { loaded: false, value: "", promise: null }
-};
-
-export async function getModel(provider = PROVIDERS.GEMINI) {
-  const p = normProvider(provider);
-  const state = modelState[p];
+const modelState = {};
+
+function modelEntry(provider) {
+  const adapter = requireAdapter(provider);
+  if (!modelState[adapter.id]) {
+    modelState[adapter.id] = {
+      storageKey: adapter.storage.model,
+      state: { loaded: false, value: "", promise: null }
+    };
+  }
+  return modelState[adapter.id];
+}
+
+export async function getModel(provider = DEFAULTS.provider) {
+  const { storageKey, state } = modelEntry(provider);
   if (state.loaded) return state.value;
   if (state.promise) return await state.promise;
 
   state.promise = (async () => {
-    const v = await getItem(MODEL_KEYS[p]);
+    const v = await getItem(storageKey);
     state.value = typeof v === "string" ? v.trim() : "";
     state.loaded = true;
     state.promise = null;
@@ -225,9 +232,7 @@ export async function getModel(provider = PROVIDERS.GEMINI) {
 }
 
 export async function setModel(provider, model) {
-  const p = normProvider(provider);
-  const state = modelState[p];
-  const key = MODEL_KEYS[p];
+  const { storageKey: key, state } = modelEntry(provider);
   const m = (model || "").trim();
 
   state.value = m;
@@ -238,3 +243,150 @@ export async function setModel(provider, model) {
   else await removeItem(key);
   return true;
 }
+
+// Provider profiles (base URL, extra headers, no-key mode) ------------
+let _settingsLoaded = false;
+let _settingsValue = {};
+let _settingsLoadPromise = null;
+
+function sanitizeHeaders(headers) {
+  const out = {};
+  if (!headers || typeof headers !== "object" || Array.isArray(headers)) return out;
+  for (const [k, v] of Object.entries(headers)) {
+    const name = String(k || "").trim();
+    if (!name || v === null || v === undefined) continue;
+    out[name] = String(v);
+  }
+  return out;
+}
+
+function sanitizeProviderSettings(s) {
+  const o = s && typeof s === "object" ? s : {};
+  const out = {};
+  const baseUrl = typeof o.baseUrl === "string" ? o.baseUrl.trim().replace(/\/+$/, "") : "";
+  if (baseUrl) out.baseUrl = baseUrl;
+  const headers = sanitizeHeaders(o.headers);
+  if (Object.keys(headers).length) out.headers = headers;
+  if (typeof o.noApiKey === "boolean") out.noApiKey = o.noApiKey;
+  for (const k of ["apiVersion", "deployment"]) {
+    const v = typeof o[k] === "string" ? o[k].trim() : "";
+    if (v) out[k] = v;
+  }
+  // Rate budgets (see ratelimit.js); 0 / empty = no client-side limit.
+  for (const k of ["rpm", "tpm", "maxConcurrent"]) {
+    const n = Math.floor(Number(o[k]));
+    if (Number.isFinite(n) && n > 0) out[k] = n;
+  }
+  return out;
+}
+
+async function loadProviderSettings() {
+  if (_settingsLoaded) return _settingsValue;
+  if (_settingsLoadPromise) return await _settingsLoadPromise;
+
+  _settingsLoadPromise = (async () => {
+    let parsed = {};
+    try {
+      const raw = await getItem(STORAGE.PROVIDER_SETTINGS);
+      if (raw) parsed = JSON.parse(raw) || {};
+    } catch { /* ignore */ }
+    _settingsValue = parsed && typeof parsed === "object" ? parsed : {};
+    _settingsLoaded = true;
+    _settingsLoadPromise = null;
+    return _settingsValue;
+  })();
+
+  return await _settingsLoadPromise;
+}
+
+/**
+ * Returns the effective profile of a provider: adapter defaults overlaid with the stored values.
+ * Shape: { baseUrl: string, headers: object, noApiKey: boolean, apiVersion?: string, deployment?: string,
+ *          rpm?: number, tpm?: number, maxConcurrent?: number }
+ */
+export async function getProviderSettings(provider = DEFAULTS.provider) {
+  const adapter = requireAdapter(provider);
+  const all = await loadProviderSettings();
+  const merged = { ...sanitizeProviderSettings(adapter.defaultSettings), ...sanitizeProviderSettings(all[adapter.id]) };
+  return {
+    ...merged,
+    baseUrl: merged.baseUrl || "",
+    headers: merged.headers || {},
+    noApiKey: !!merged.noApiKey
+  };
+}
+
+export async function setProviderSettings(provider, settings) {
+  const adapter = requireAdapter(provider);
+  const all = { ...(await loadProviderSettings()) };
+  const clean = sanitizeProviderSettings(settings);
+
+  if (Object.keys(clean).length) all[adapter.id] = clean;
+  else delete all[adapter.id];
+
+  _settingsValue = all;
+  _settingsLoaded = true;
+  _settingsLoadPromise = null;
+
+  if (Object.keys(all).length) await setItem(STORAGE.PROVIDER_SETTINGS, JSON.stringify(all));
+  else await removeItem(STORAGE.PROVIDER_SETTINGS);
+  return true;
+}
+
+// Fallback chain ------------------------------------------------------
+let _fallbackLoaded = false;
+let _fallbackValue = [];
+let _fallbackLoadPromise = null;
+
+/**
+ * Normalizes a provider list ("openai, custom" or ["openai", "custom"]) to registered ids, without duplicates.
+ * Returns null when an entry is not a registered provider.
+ */
+export function parseProviderList(list) {
+  const raw = Array.isArray(list) ? list : String(list ?? "").split(/[\s,;>]+/);
+  const out = [];
+  for (const p of raw) {
+    const v = String(p ?? "").trim();
+    if (!v) continue;
+    const adapter = getProviderAdapter(v);
+    if (!adapter) return null;
+    if (!out.includes(adapter.id)) out.push(adapter.id);
+  }
+  return out;
+}
+
+/**
+ * Providers tried, in order, when the active provider fails with a transient error.
+ */
+export async function getFallbackOrder() {
+  if (_fallbackLoaded) return _fallbackValue;
+  if (_fallbackLoadPromise) return await _fallbackLoadPromise;
+
+  _fallbackLoadPromise = (async () => {
+    let parsed = [];
+    try {
+      const raw = await getItem(STORAGE.FALLBACK_ORDER);
+      if (raw) parsed = JSON.parse(raw);
+    } catch { /* ignore */ }
+    // Drop ids this build does not register instead of discarding the whole chain.
+    _fallbackValue = Array.isArray(parsed) ? parseProviderList(parsed.filter((p) => isRegisteredProvider(p))) : [];
+    _fallbackLoaded = true;
+    _fallbackLoadPromise = null;
+    return _fallbackValue;
+  })();
+
+  return await _fallbackLoadPromise;
+}
+
+export async function setFallbackOrder(list) {
+  const order = parseProviderList(list);
+  if (!order) throw new Error("Unknown provider in fallback order");
+
+  _fallbackValue = order;
+  _fallbackLoaded = true;
+  _fallbackLoadPromise = null;
+
+  if (order.length) await setItem(STORAGE.FALLBACK_ORDER, JSON.stringify(order));
+  else await removeItem(STORAGE.FALLBACK_ORDER);
+  return true;
+}
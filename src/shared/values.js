@@ -0,0 +1,141 @@
+// src/shared/values.js
+//
+// Text -> typed Excel values: numbers written the French or the English way, dates as Excel serials
+// (1900 date system), booleans. Each parser returns null when the text is not a value of its type.
+
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * "1 234,56", "1,234.56", "1.234,56 €", "-12,5 %" (-> -0.125), "(45)" (accounting negative) -> number.
+ * A single "," or "." followed by exactly three digits is read as a thousands separator ("1.234", "1,234";
+ * but "0,125" is a decimal) unless `decimal` says which character is the decimal separator.
+ */
+export function parseLocaleNumber(text, { decimal } = {}) {
+  if (typeof text === "number") return Number.isFinite(text) ? text : null;
+  let s = String(text ?? "").trim();
+  if (!s) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1).trim();
+  }
+  const percent = /%\s*$/.test(s);
+  s = s
+    .replace(/%\s*$/, "")
+    .replace(/^[^\d+\-.,]+|[^\d.,]+$/g, "") // currency symbols / codes before or after
+    .replace(/[\s']/g, "");
+  if (s.startsWith("-") || s.startsWith("+")) {
+    negative = negative !== (s[0] === "-");
+    s = s.slice(1);
+  }
+  if (!/^[\d.,]+$/.test(s) || !/\d/.test(s)) return null;
+
+  const lastComma = s.lastIndexOf(",");
+  const lastDot = s.lastIndexOf(".");
+  let dec = "";
+  if (lastComma >= 0 && lastDot >= 0) {
+    dec = lastComma > lastDot ? "," : ".";
+  } else if (lastComma >= 0 || lastDot >= 0) {
+    const sep = lastComma >= 0 ? "," : ".";
+    const single = s.indexOf(sep) === s.lastIndexOf(sep);
+    if (decimal) dec = decimal === sep && single ? sep : "";
+    else dec = single && !/^[1-9]\d{0,2}[.,]\d{3}$/.test(s) ? sep : "";
+  }
+
+  const thousands = dec === "," ? "." : dec === "." ? "," : /[.,]/;
+  const [intPart, fracPart = ""] = dec ? [s.slice(0, s.lastIndexOf(dec)), s.slice(s.lastIndexOf(dec) + 1)] : [s, ""];
+  if (/[.,]/.test(fracPart)) return null;
+  if (/[.,]/.test(intPart) && !/^\d{1,3}([.,]\d{3})+$/.test(intPart)) return null;
+  const digits = intPart.split(thousands).join("");
+  if (!/^\d*$/.test(digits)) return null;
+
+  const n = Number(`${digits || "0"}.${fracPart || "0"}`);
+  if (!Number.isFinite(n)) return null;
+  const value = (negative ? -n : n) / (percent ? 100 : 1);
+  return Math.round(value * 1e12) / 1e12;
+}
+
+function serialFromParts(y, m, d, hh = 0, mm = 0, ss = 0) {
+  if (m < 1 || m > 12 || d < 1 || d > 31 || hh > 23 || mm > 59 || ss > 59) return null;
+  const ms = Date.UTC(y, m - 1, d, hh, mm, ss);
+  const check = new Date(ms);
+  if (check.getUTCFullYear() !== y || check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return null;
+  let serial = (ms - EXCEL_EPOCH_MS) / DAY_MS;
+  // Excel serials start at 1 (1900-01-01); before 1900-03-01 they are shifted by the fictitious 1900-02-29.
+  if (serial < 61) serial -= 1;
+  return serial < 1 ? null : Math.round(serial * 1e8) / 1e8;
+}
+
+/**
+ * Excel DATE(y, m, d): months and days out of range roll over to the next ones, years below 1900 are read
+ * as 1900 + y. Returns the serial number (possibly < 1, which Excel rejects with #NUM!).
+ */
+export function dateSerial(y, m, d) {
+  const year = y < 1900 ? y + 1900 : y;
+  const serial = Math.round((Date.UTC(year, m - 1, d) - EXCEL_EPOCH_MS) / DAY_MS);
+  return serial < 61 ? serial - 1 : serial;
+}
+
+/**
+ * Serial number -> { y, m, d, weekday (0 = Sunday), seconds (time of day) }.
+ */
+export function serialParts(serial) {
+  const whole = Math.floor(serial);
+  const seconds = Math.round((serial - whole) * 86400);
+  // Serial 60 is the fictitious 1900-02-29 kept by Excel for Lotus compatibility.
+  if (whole === 60) return { y: 1900, m: 2, d: 29, weekday: 3, seconds };
+  const date = new Date(EXCEL_EPOCH_MS + (whole < 60 ? whole + 1 : whole) * DAY_MS);
+  return { y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate(), weekday: date.getUTCDay(), seconds };
+}
+
+export const MONTHS_FR = ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"];
+export const MONTHS_EN = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+
+function monthFromName(name) {
+  const s = String(name).toLowerCase().replace(/\.$/, "");
+  if (s.length < 3) return 0;
+  const match = (list) => list.findIndex((m) => m.startsWith(s) || m.normalize("NFD").replace(/[\u0300-\u036f]/g, "").startsWith(s));
+  const i = match(MONTHS_FR) >= 0 ? match(MONTHS_FR) : match(MONTHS_EN);
+  return i + 1;
+}
+
+/**
+ * Date text -> Excel serial number (days since 1899-12-30, time as the fraction), or null.
+ * Reads ISO 8601 ("2024-03-12", "2024-03-12T14:30"), day-first numeric dates ("12/03/2024", "12.03.24")
+ * unless { dayFirst: false }, and month names in French or English ("12 mars 2024", "March 12, 2024").
+ */
+export function parseDateSerial(text, { dayFirst = true } = {}) {
+  const s = String(text ?? "").trim();
+  if (!s) return null;
+
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?(?:Z|[+-]\d{2}:?\d{2})?$/);
+  if (m) return serialFromParts(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:\s+(\d{1,2})[:h](\d{2}))?$/);
+  if (m) {
+    const y = m[3].length === 2 ? 2000 + Number(m[3]) - (Number(m[3]) > 50 ? 100 : 0) : Number(m[3]);
+    const [d, mo] = dayFirst ? [+m[1], +m[2]] : [+m[2], +m[1]];
+    return serialFromParts(y, mo, d, +(m[4] || 0), +(m[5] || 0));
+  }
+
+  m = s.match(/^(?:\p{L}+\.?,?\s+)?(\d{1,2})(?:er)?\s+(\p{L}+\.?)\s+(\d{4})$/u);
+  if (m && monthFromName(m[2])) return serialFromParts(+m[3], monthFromName(m[2]), +m[1]);
+
+  m = s.match(/^(\p{L}+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/u);
+  if (m && monthFromName(m[1])) return serialFromParts(+m[3], monthFromName(m[1]), +m[2]);
+
+  return null;
+}
+
+/**
+ * "true" / "vrai" / "oui" / "yes" / "1" -> true, their opposites -> false, anything else -> null.
+ */
+export function parseBoolean(text) {
+  if (typeof text === "boolean") return text;
+  const s = String(text ?? "").trim().toLowerCase();
+  if (["true", "vrai", "oui", "yes", "y", "o", "1"].includes(s)) return true;
+  if (["false", "faux", "non", "no", "n", "0"].includes(s)) return false;
+  return null;
+}
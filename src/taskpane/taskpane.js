@@ -1,9 +1,11 @@
 // src/taskpane/taskpane.js
 
-import { getApiKey, setApiKey, clearApiKey, getMaxTokens, setMaxTokens, storageBackend, getProvider, setProvider, getModel, setModel } from "../shared/storage";
+import { getApiKey, setApiKey, clearApiKey, getMaxTokens, setMaxTokens, storageBackend, getProvider, setProvider, getModel, setModel, getProviderSettings, setProviderSettings, getFallbackOrder, setFallbackOrder, parseProviderList } from "../shared/storage";
 import { geminiMinimalTest } from "../shared/gemini";
 import { getDiagnosticsSnapshot, resetDiagnosticsLogs } from "../shared/diagnostics";
-import { DEFAULTS, TOKEN_LIMITS, PROVIDERS, GEMINI, OPENAI } from "../shared/constants";
+import { DEFAULTS, TOKEN_LIMITS, PROVIDERS } from "../shared/constants";
+import { getProviderAdapter, listProviders, resolveProviderId } from "../shared/providers";
+import { captureExcelLocale } from "../shared/locale";
 
 const TOKEN_STEPS = (() => {
   const steps = [];
@@ -22,12 +24,24 @@ let openLogDetails = new Set();
 function $(id) { return document.getElementById(id); }
 
 function normalizeProvider(p) {
-  const v = (p || "").toString().toLowerCase();
-  return v === PROVIDERS.OPENAI ? PROVIDERS.OPENAI : PROVIDERS.GEMINI;
+  return resolveProviderId(p);
 }
 
 function defaultModel(provider) {
-  return provider === PROVIDERS.OPENAI ? OPENAI.DEFAULT_MODEL : GEMINI.DEFAULT_MODEL;
+  return getProviderAdapter(provider)?.defaultModel || "";
+}
+
+// The select lists every registered adapter; options already present in the HTML keep their label.
+function populateProviderSelect() {
+  if (!els.providerSelect) return;
+  const existing = new Set(Array.from(els.providerSelect.options).map((o) => o.value));
+  for (const adapter of listProviders()) {
+    if (existing.has(adapter.id)) continue;
+    const opt = document.createElement("option");
+    opt.value = adapter.id;
+    opt.textContent = adapter.label;
+    els.providerSelect.appendChild(opt);
+  }
 }
 
 function toggleSectionVisibility(targetId, collapsed) {
@@ -310,6 +324,7 @@ function updateLogsUI() {
       // Si log.code est different de funcName et de "OK", on peut vouloir l'afficher (ex: type d'erreur)
       const errCode = (isErr && log.code !== funcName) ? `(${log.code})` : "";
       const providerLabel = log.provider ? `[${log.provider}]` : "";
+      const fallbackLabel = log.fallbackFrom ? `(repli de ${log.fallbackFrom})` : "";
 
       const uniqueId = log.id || Math.random().toString(36).substr(2, 9);
       const isOpen = openLogDetails.has(uniqueId);
@@ -336,7 +351,7 @@ function updateLogsUI() {
                         <span class="log-time">${formatTime(log.at)}</span>
                     </div>
                     <div class="log-model">
-                        ${providerLabel} ${log.model} ${errCode}
+                        ${providerLabel} ${log.model} ${fallbackLabel} ${errCode}
                     </div>
                     ${detailText ? `<div class="log-code-toggle" data-id="${uniqueId}">Afficher détails</div>` : ''}
                 </div>
@@ -420,35 +435,44 @@ function formatTestDiagnostics(res) {
 }
 
 async function refreshKeyStatus() {
+  const adapters = listProviders();
   const [
     activeProvider,
-    gemKey,
-    openaiKey,
     maxTokens,
     backend,
-    gemModel,
-    openaiModel
+    keyList,
+    settingsList,
+    fallbackOrder
   ] = await Promise.all([
     getProvider(),
-    getApiKey(PROVIDERS.GEMINI),
-    getApiKey(PROVIDERS.OPENAI),
     getMaxTokens(),
     storageBackend(),
-    getModel(PROVIDERS.GEMINI),
-    getModel(PROVIDERS.OPENAI)
+    Promise.all(adapters.map((a) => getApiKey(a.id))),
+    Promise.all(adapters.map((a) => getProviderSettings(a.id))),
+    getFallbackOrder()
   ]);
 
   const provider = normalizeProvider(activeProvider);
-  const selectedKey = provider === PROVIDERS.OPENAI ? openaiKey : gemKey;
-  const modelValue = provider === PROVIDERS.OPENAI ? (openaiModel || OPENAI.DEFAULT_MODEL) : (gemModel || GEMINI.DEFAULT_MODEL);
+  const keys = {};
+  const profiles = {};
+  adapters.forEach((a, i) => {
+    keys[a.id] = keyList[i];
+    profiles[a.id] = settingsList[i];
+  });
+  const modelValue = (await getModel(provider)) || defaultModel(provider);
+  const profile = profiles[provider] || {};
 
   if (els.providerSelect) els.providerSelect.value = provider;
   if (els.modelInput) els.modelInput.value = modelValue;
+  renderProfile(profile, provider);
 
-  els.keyStatus.textContent = `Gemini: ${gemKey ? "OK" : "MISSING"} | OpenAI: ${openaiKey ? "OK" : "MISSING"} | Actif: ${provider.toUpperCase()}`;
-  els.keyStatus.className = selectedKey ? "status ok" : "status missing";
+  const keyState = (id) => keys[id] ? "OK" : (profiles[id]?.noApiKey ? "NOT_REQUIRED" : "MISSING");
+  const keySummary = adapters.map((a) => `${a.label}: ${keyState(a.id)}`).join(" | ");
+  els.keyStatus.textContent = `${keySummary} | Actif: ${provider.toUpperCase()}`;
+  els.keyStatus.className = keyState(provider) !== "MISSING" ? "status ok" : "status missing";
 
   setTokenUIValue(maxTokens ?? DEFAULTS.maxTokens);
+  if (els.fallbackOrderInput) els.fallbackOrderInput.value = fallbackOrder.join(", ");
 
   els.backend.textContent =
     backend === "office" ? "OfficeRuntime.storage" :
@@ -456,6 +480,63 @@ async function refreshKeyStatus() {
     "none";
 }
 
+function renderProfile(profile, provider) {
+  if (els.azureSettings) els.azureSettings.style.display = provider === PROVIDERS.AZURE ? "block" : "none";
+  if (els.azureDeploymentInput) els.azureDeploymentInput.value = profile.deployment || "";
+  if (els.azureApiVersionInput) els.azureApiVersionInput.value = profile.apiVersion || "";
+  if (els.baseUrlInput) els.baseUrlInput.value = profile.baseUrl || "";
+  if (els.extraHeadersInput) {
+    const headers = profile.headers || {};
+    els.extraHeadersInput.value = Object.keys(headers).length ? JSON.stringify(headers, null, 2) : "";
+  }
+  if (els.noApiKeyInput) els.noApiKeyInput.checked = !!profile.noApiKey;
+  if (els.rpmInput) els.rpmInput.value = profile.rpm || "";
+  if (els.tpmInput) els.tpmInput.value = profile.tpm || "";
+  if (els.maxConcurrentInput) els.maxConcurrentInput.value = profile.maxConcurrent || "";
+}
+
+// Returns { ok, value } where value is the profile typed in the form, or { ok: false, message }.
+function readProfileForm() {
+  const rawHeaders = (els.extraHeadersInput?.value || "").trim();
+  let headers = {};
+  if (rawHeaders) {
+    try {
+      headers = JSON.parse(rawHeaders);
+    } catch {
+      return { ok: false, message: "En-têtes HTTP : JSON invalide." };
+    }
+    if (!headers || typeof headers !== "object" || Array.isArray(headers)) {
+      return { ok: false, message: "En-têtes HTTP : un objet JSON est attendu." };
+    }
+  }
+
+  const baseUrl = (els.baseUrlInput?.value || "").trim();
+  if (baseUrl && !/^https?:\/\/\S+$/i.test(baseUrl)) {
+    return { ok: false, message: "URL de base invalide (http:// ou https:// attendu)." };
+  }
+
+  const limits = {};
+  for (const [k, input] of [["rpm", els.rpmInput], ["tpm", els.tpmInput], ["maxConcurrent", els.maxConcurrentInput]]) {
+    const raw = (input?.value || "").trim();
+    if (!raw) continue;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0) return { ok: false, message: "Limites de débit : entiers positifs attendus." };
+    if (n > 0) limits[k] = n;
+  }
+
+  return {
+    ok: true,
+    value: {
+      baseUrl,
+      headers,
+      noApiKey: !!els.noApiKeyInput?.checked,
+      deployment: (els.azureDeploymentInput?.value || "").trim(),
+      apiVersion: (els.azureApiVersionInput?.value || "").trim(),
+      ...limits
+    }
+  };
+}
+
 function setMessage(msg, kind = "info") {
   els.message.textContent = msg || "";
   els.message.className = kind ? `message ${kind}` : "message";
@@ -473,10 +554,23 @@ async function onSave() {
     const t = setTokenUIValue(preferredValue ?? DEFAULTS.maxTokens);
     const model = (els.modelInput?.value || "").trim() || defaultModel(provider);
 
+    const profile = readProfileForm();
+    if (!profile.ok) {
+      setMessage(profile.message, "warn");
+      return;
+    }
+
+    const fallbackOrder = parseProviderList(els.fallbackOrderInput?.value || "");
+    if (!fallbackOrder) {
+      const known = listProviders().map((a) => a.id).join(", ");
+      setMessage(`Fournisseurs de repli : identifiant inconnu (attendus : ${known}).`, "warn");
+      return;
+    }
+
     if (v) {
       await setApiKey(provider, v);
       els.apiKeyInput.value = "";
-    } else {
+    } else if (!profile.value.noApiKey) {
         const currentKey = await getApiKey(provider);
         if (!currentKey) {
              setMessage("Collez une clé API valide pour le fournisseur sélectionné.", "warn");
@@ -484,8 +578,10 @@ async function onSave() {
         }
     }
 
+    await setProviderSettings(provider, profile.value);
     await setModel(provider, model);
     await setMaxTokens(t);
+    await setFallbackOrder(fallbackOrder);
 
     setMessage("Configuration sauvegardée.", "ok");
     await refreshKeyStatus();
@@ -536,6 +632,7 @@ async function onProviderChange() {
   await setProvider(provider);
   const model = await getModel(provider);
   if (els.modelInput) els.modelInput.value = model || defaultModel(provider);
+  renderProfile(await getProviderSettings(provider), provider);
   await refreshKeyStatus();
 }
 
@@ -554,6 +651,16 @@ function wireUi() {
     providerSelect: $("providerSelect"),
     modelInput: $("modelInput"),
     apiKeyInput: $("apiKeyInput"),
+    noApiKeyInput: $("noApiKeyInput"),
+    baseUrlInput: $("baseUrlInput"),
+    extraHeadersInput: $("extraHeadersInput"),
+    azureSettings: $("azureSettings"),
+    azureDeploymentInput: $("azureDeploymentInput"),
+    azureApiVersionInput: $("azureApiVersionInput"),
+    fallbackOrderInput: $("fallbackOrderInput"),
+    rpmInput: $("rpmInput"),
+    tpmInput: $("tpmInput"),
+    maxConcurrentInput: $("maxConcurrentInput"),
     maxTokensInput: $("maxTokensInput"),
     maxTokensSlider: $("maxTokensSlider"),
     maxTokensValue: $("maxTokensValue"),
@@ -573,6 +680,8 @@ function wireUi() {
     usageChart: $("usageChart")
   };
 
+  populateProviderSelect();
+
   els.saveBtn.addEventListener("click", onSave);
   els.clearBtn.addEventListener("click", onClear);
   els.testBtn.addEventListener("click", onTest);
@@ -619,6 +728,7 @@ function wireUi() {
 
 Office.onReady(async () => {
   wireUi();
+  captureExcelLocale();
   await refreshKeyStatus();
   updateLogsUI();
 